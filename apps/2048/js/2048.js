@@ -1,4 +1,4 @@
-'use strict';
+import { randomItem, randomItemWeighted } from './random.js';
 
 const Direction = Object.freeze({
     UP: 'up',
@@ -7,6 +7,25 @@ const Direction = Object.freeze({
     RIGHT: 'right',
 });
 
+const BlockKind = Object.freeze({
+    /**
+     * A regular block merged according to the merge rules
+     */
+    NUMBER: 'number',
+    /**
+     * An immovable block that never merges and blocks the way of the others
+     */
+    STONE: 'stone',
+    /**
+     * A block that merges with any movable block, acting as a copy of it
+     */
+    WILDCARD: 'wildcard',
+    /**
+     * A regular block that clears its neighbours when it is merged
+     */
+    BOMB: 'bomb',
+});
+
 class Point {
     /**
      * @type {Symbol}
@@ -138,7 +157,7 @@ class Block {
     static #CONSTRUCTOR_KEY = Symbol();
 
     /**
-     * @type {Map<number, Block>}
+     * @type {Map<string, Block>}
      */
     static #pool = new Map();
 
@@ -146,48 +165,137 @@ class Block {
      * @type {number}
      */
     #value;
+
+    /**
+     * @type {BlockKind[keyof typeof BlockKind]}
+     */
+    #kind;
     
     /**
      * Private constructor. To instantiate a Block object, use Block.of()
      * @param {number} value 
+     * @param {BlockKind[keyof typeof BlockKind]} kind
      * @param {Symbol} constructorKey 
      */
-    constructor(value, constructorKey) {
+    constructor(value, kind, constructorKey) {
         if (constructorKey !== Block.#CONSTRUCTOR_KEY) {
             throw new Error('The Block() constructor is private. Use Block.of() instead.');
         }
         this.#value = value;
+        this.#kind = kind;
     }
 
     /**
-     * @returns {number}
+     * @returns {number} The value of the block, 0 for stones and wildcards
      */
     getValue() {
         return this.#value;
     }
 
+    /**
+     * @returns {BlockKind[keyof typeof BlockKind]}
+     */
+    getKind() {
+        return this.#kind;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isMovable() {
+        return this.#kind !== BlockKind.STONE;
+    }
+
     /**
      * @param {number} value 
+     * @param {BlockKind[keyof typeof BlockKind]} kind
      * @returns {Block}
      */
-    static of(value) {
-        const hash = Block.#computeHash(value);
+    static of(value, kind = BlockKind.NUMBER) {
+        if (!Object.values(BlockKind).includes(kind)) {
+            throw new Error(`Invalid argument: unknown block kind "${kind}"`);
+        }
+
+        const hash = Block.#computeHash(value, kind);
         let instance = Block.#pool.get(hash);
         if (!instance) {
-            instance = new Block(value, Block.#CONSTRUCTOR_KEY);
+            instance = new Block(value, kind, Block.#CONSTRUCTOR_KEY);
             Block.#pool.set(hash, instance);
         }
         return instance;
     }
 
+    /**
+     * @returns {Block}
+     */
+    static stone() {
+        return Block.of(0, BlockKind.STONE);
+    }
+
+    /**
+     * @returns {Block}
+     */
+    static wildcard() {
+        return Block.of(0, BlockKind.WILDCARD);
+    }
+
+    /**
+     * @param {number} value
+     * @returns {Block}
+     */
+    static bomb(value) {
+        return Block.of(value, BlockKind.BOMB);
+    }
+
+    /**
+     * @param {number|{kind: string, value?: number}} json A plain value for regular blocks
+     * @returns {Block}
+     */
+    static fromJson(json) {
+        return typeof json === 'number' ? Block.of(json) : Block.of(json.value ?? 0, json.kind);
+    }
+
+    /**
+     * @returns {number|{kind: string, value?: number}}
+     */
+    toJson() {
+        switch (this.#kind) {
+            case BlockKind.NUMBER:
+                return this.#value;
+            case BlockKind.BOMB:
+                return { kind: this.#kind, value: this.#value };
+            default:
+                return { kind: this.#kind };
+        }
+    }
+
+    /**
+     * Parse a block in the format produced by toString(), e.g. '4' or 'bomb:2'
+     * @param {string} str
+     * @returns {Block}
+     */
+    static parse(str) {
+        const [kind, value] = str.includes(':') ? str.split(':') : [BlockKind.NUMBER, str];
+        if (!Object.values(BlockKind).includes(kind) || value === '' || isNaN(Number(value))) {
+            throw new Error(`Invalid block: ${str}`);
+        }
+        return Block.of(Number(value), kind);
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        return this.#kind === BlockKind.NUMBER ? `${this.#value}` : `${this.#kind}:${this.#value}`;
+    }
+
     /**
      * @param {number} value 
-     * @returns {number}
+     * @param {BlockKind[keyof typeof BlockKind]} kind
+     * @returns {string}
      */
-    static #computeHash(value) {
-        let hash = 7;
-        hash = 13 * hash + value;
-        return hash;
+    static #computeHash(value, kind) {
+        return `${kind}:${value}`;
     }
 }
 
@@ -248,8 +356,8 @@ class Board {
 
         for (let i = 0; i < instance.getSize(); i++) {
             const value = data.values[i];
-            if (typeof value === 'number') {
-                instance.#blocks[i] = Block.of(value);
+            if (value !== null && typeof value !== 'undefined') {
+                instance.#blocks[i] = Block.fromJson(value);
                 instance.#blockCount++;
             }
         }
@@ -371,6 +479,19 @@ class Board {
         return slots;
     }
 
+    /**
+     * @returns {number} The largest block value on the board, 0 if the board is empty
+     */
+    getMaxValue() {
+        let max = 0;
+        for (const block of this.#blocks) {
+            if (block && block.getValue() > max) {
+                max = block.getValue();
+            }
+        }
+        return max;
+    }
+
     /**
      * @returns {string}
      */
@@ -378,7 +499,7 @@ class Board {
         return JSON.stringify({
             rowCount: this.#rowCount,
             columnCount: this.#columnCount,
-            values: this.#blocks.map(block => block?.getValue()),
+            values: this.#blocks.map(block => block?.toJson()),
         });
     }
 
@@ -658,6 +779,45 @@ class BoardTraversalStrategyFactory {
     }
 }
 
+/**
+ * @interface
+ */
+class RandomNumberGenerator {
+    constructor() {
+        if(this.constructor === RandomNumberGenerator) {
+            throw new Error('Interface "RandomNumberGenerator" cannot be instantiated as it is an interface.');
+        }
+    }
+
+    /**
+     * @param {number} value
+     */
+    seed(value) {
+        throw new Error('Method "seed()" must be implemented.');
+    }
+
+    /**
+     * @returns {number} A random number in the range [0, 1)
+     */
+    next() {
+        throw new Error('Method "next()" must be implemented.');
+    }
+
+    /**
+     * @returns {number|undefined} The internal state or undefined if the generator cannot be restored
+     */
+    getState() {
+        throw new Error('Method "getState()" must be implemented.');
+    }
+
+    /**
+     * @param {number} state
+     */
+    setState(state) {
+        throw new Error('Method "setState()" must be implemented.');
+    }
+}
+
 /**
  * @interface
  */
@@ -685,6 +845,14 @@ class BlockMerger {
     merge(block1, block2) {
         throw new Error('Method "merge()" must be implemented.');
     }
+
+    /**
+     * @param {Block} block The number block a wildcard merges into
+     * @return {Block|undefined} The block the wildcard turns it into, undefined if they cannot merge
+     */
+    mergeWithWildcard(block) {
+        throw new Error('Method "mergeWithWildcard()" must be implemented.');
+    }
 }
 
 /**
@@ -923,156 +1091,1177 @@ class IdenticalBlockMerger extends BlockMerger {
         const newValue = block1.getValue() + block2.getValue();
         return Block.of(newValue);
     }
+
+    /**
+     * @param {Block} block
+     * @return {Block|undefined}
+     */
+    mergeWithWildcard(block) {
+        return this.merge(block, block);
+    }
 }
 
 /**
- * @implements {StatefulBoardOperation}
+ * Merges two consecutive Fibonacci numbers into the next one, e.g. 1 + 1, 1 + 2, 2 + 3, 3 + 5
+ * @implements {BlockMerger}
  */
-class GameBoardOperation extends StatefulBoardOperation {
+class FibonacciBlockMerger extends BlockMerger {
     /**
-     * @type {number}
+     * @param {Block} block1 
+     * @param {Block} block2 
+     * @return {boolean}
      */
-    #emptyCount;
+    canMerge(block1, block2) {
+        const smaller = Math.min(block1.getValue(), block2.getValue());
+        const larger = Math.max(block1.getValue(), block2.getValue());
+        for (let current = 1, next = 1; current <= smaller; [current, next] = [next, current + next]) {
+            if (current === smaller && next === larger) {
+                return true;
+            }
+        }
+        return false;
+    }
 
     /**
-     * @type {boolean}
+     * @param {Block} block1 
+     * @param {Block} block2 
+     * @return {Block}
      */
-    #isDstMerged;
+    merge(block1, block2) {
+        return Block.of(block1.getValue() + block2.getValue());
+    }
 
     /**
-     * @type {BlockMerger}
+     * The wildcard stands for the block making the next Fibonacci number, e.g. 3 becomes 5
+     * @param {Block} block
+     * @return {Block|undefined}
      */
-    #merger;
+    mergeWithWildcard(block) {
+        const value = block.getValue();
+        for (let current = 1, next = 1; current <= value; [current, next] = [next, current + next]) {
+            if (current === value && next > value) {
+                return Block.of(next);
+            }
+        }
+        return undefined;
+    }
+}
 
+/**
+ * Merges 1 and 2 into 3, then identical blocks of 3 or more
+ * @implements {BlockMerger}
+ */
+class ThreesBlockMerger extends BlockMerger {
     /**
-     * @type {OnBlockMergedListener|undefined}
+     * @param {Block} block1 
+     * @param {Block} block2 
+     * @return {boolean}
      */
-    #listener;
+    canMerge(block1, block2) {
+        const value1 = block1.getValue();
+        const value2 = block2.getValue();
+        if (value1 < 3 || value2 < 3) {
+            return value1 + value2 === 3;
+        }
+        return value1 === value2;
+    }
 
     /**
-     * @param {BlockMerger} merger 
+     * @param {Block} block1 
+     * @param {Block} block2 
+     * @return {Block}
      */
-    constructor(merger) {
-        super();
-        this.#emptyCount = 0;
-        this.#isDstMerged = false;
-        this.#merger = merger;
-        this.#listener = undefined;
+    merge(block1, block2) {
+        return Block.of(block1.getValue() + block2.getValue());
     }
 
     /**
-     * @param {OnBlockMergedListener|undefined} listener 
+     * The wildcard stands for the block the given one merges with, e.g. 1 becomes 3 and 6 becomes 12
+     * @param {Block} block
+     * @return {Block|undefined}
      */
-    prepare(listener = undefined) {
-        this.#emptyCount = 0;
-        this.#isDstMerged = false;
-        this.#listener = listener;
+    mergeWithWildcard(block) {
+        const value = block.getValue();
+        return Block.of(value < 3 ? 3 : value * 2);
     }
+}
 
+/**
+ * A set of merge rules along with the blocks they spawn and the targets worth reaching
+ */
+class MergeVariant {
     /**
-     * @param {Board} board 
-     * @param {Point} point
-     * @param {boolean} isNewRound 
-     * @param {PointMover} mover
-     * @returns {BlockMove|null}
+     * @type {string}
      */
-    operate(board, point, isNewRound, mover) {
-        if (isNewRound) {
-            this.#emptyCount = 0;
-            this.#isDstMerged = false;
-        }
-
-        const row = point.row();
-        const column = point.column();
-        if (!board.isWithinBound(row, column)) {
-            return null;
-        }
-        else if (!board.blockAt(row, column)) {
-            this.#emptyCount++;
-            return null;
-        }
+    #id;
 
-        let offset = 1 + this.#emptyCount;
-        let move = null;
-        while (offset > 0 && move === null) {
-            const dstPoint = mover.move(point, offset);
-            const dstRow = dstPoint.row();
-            const dstColumn = dstPoint.column();
-            
-            if (board.isWithinBound(dstRow, dstColumn)) {
-                move = this.#moveBlock(board, point, dstPoint);
-            }
+    /**
+     * @type {string}
+     */
+    #name;
 
-            offset--;
-        }
+    /**
+     * @type {BlockMerger}
+     */
+    #merger;
 
-        return move;
-    }
+    /**
+     * @type {Block[]}
+     */
+    #spawnedBlocks;
 
     /**
-     * @param {Board} board 
-     * @param {Point} from
-     * @param {Point} to
-     * @returns {BlockMove|null}
+     * @type {number[]}
      */
-    #moveBlock(board, from, to) {
-        const row = from.row();
-        const column = from.column();
-        const dstRow = to.row();
-        const dstColumn = to.column();
+    #spawnedWeights;
 
-        const currentBlock = board.blockAt(row, column);
-        const dstBlock = board.blockAt(dstRow, dstColumn);
+    /**
+     * @type {number[]}
+     */
+    #targets;
 
-        let success;
-        if (!dstBlock) {
-            board.setBlockAt(dstRow, dstColumn, currentBlock);
-            board.removeBlockAt(row, column);
-            this.#isDstMerged = false;
-            success = true;
-        }
-        else if (!this.#merger.canMerge(currentBlock, dstBlock) || this.#isDstMerged) {
-            success = false;
-        }
-        else {
-            const mergedBlock = this.#merger.merge(currentBlock, dstBlock);
-            board.setBlockAt(dstRow, dstColumn, mergedBlock);
-            board.removeBlockAt(row, column);
-            this.#isDstMerged = true;
-            this.#emptyCount++;
-            success = true;
+    /**
+     * @type {number}
+     */
+    #defaultTarget;
 
-            this.#notifyListener(from, currentBlock, to, dstBlock, mergedBlock);
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @param {BlockMerger} merger
+     * @param {Block[]} spawnedBlocks
+     * @param {number[]} spawnedWeights
+     * @param {number[]} targets The target values that can be chosen, in ascending order
+     * @param {number} defaultTarget
+     */
+    constructor(id, name, merger, spawnedBlocks, spawnedWeights, targets, defaultTarget) {
+        if (spawnedBlocks.length !== spawnedWeights.length) {
+            throw new Error(`Invalid argument: the number of blocks and number of weights must match`);
         }
 
-        return success ? new BlockMove(from, to, this.#isDstMerged) : null;
+        this.#id = id;
+        this.#name = name;
+        this.#merger = merger;
+        this.#spawnedBlocks = spawnedBlocks;
+        this.#spawnedWeights = spawnedWeights;
+        this.#targets = targets;
+        this.#defaultTarget = defaultTarget;
     }
 
     /**
-     * @param {Point} fromPoint
-     * @param {Block} fromBlock
-     * @param {Point} toPoint
-     * @param {Block} toBlock
-     * @param {Block} mergedBlock
+     * @param {string} id
+     * @returns {MergeVariant|undefined}
      */
-    #notifyListener(fromPoint, fromBlock, toPoint, toBlock, mergedBlock) {
-        if (this.#listener) {
-            const from = new BlockWithPoint(fromBlock, fromPoint);
-            const to = new BlockWithPoint(toBlock, toPoint);
-            const result = new BlockWithPoint(mergedBlock, toPoint);
-            this.#listener.onBlockMerged(result, from, to);
-        }
+    static byId(id) {
+        return Object.values(MergeVariants).find(variant => variant.getId() === id);
     }
-}
 
-class Game {
     /**
-     * @type {Board}
+     * @returns {string}
      */
-    #board;
+    getId() {
+        return this.#id;
+    }
 
     /**
-     * @type {BoardTraversalStrategyFactory}
+     * @returns {string}
+     */
+    getName() {
+        return this.#name;
+    }
+
+    /**
+     * @returns {BlockMerger}
+     */
+    getMerger() {
+        return this.#merger;
+    }
+
+    /**
+     * @returns {Block[]}
+     */
+    getSpawnedBlocks() {
+        return this.#spawnedBlocks;
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    getSpawnedWeights() {
+        return this.#spawnedWeights;
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    getTargets() {
+        return this.#targets;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getDefaultTarget() {
+        return this.#defaultTarget;
+    }
+
+    /**
+     * @param {number} maxValue
+     * @returns {Set<number>} Every value up to the given one that the spawned blocks can be merged into, spawned values
+     * included
+     */
+    getProducibleValues(maxValue) {
+        const values = new Set(this.#spawnedBlocks.map(block => block.getValue()).filter(value => value <= maxValue));
+        let added = true;
+        while (added) {
+            added = false;
+            const blocks = [...values].map(value => Block.of(value));
+            for (const block1 of blocks) {
+                for (const block2 of blocks) {
+                    if (!this.#merger.canMerge(block1, block2)) {
+                        continue;
+                    }
+
+                    const value = this.#merger.merge(block1, block2).getValue();
+                    if (value <= maxValue && !values.has(value)) {
+                        values.add(value);
+                        added = true;
+                    }
+                }
+            }
+        }
+        return values;
+    }
+}
+
+const MergeVariants = Object.freeze({
+    CLASSIC: new MergeVariant(
+        'classic',
+        'Classic',
+        new IdenticalBlockMerger(),
+        [Block.of(2), Block.of(4)],
+        [90, 10],
+        [256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536],
+        2048
+    ),
+    FIBONACCI: new MergeVariant(
+        'fibonacci',
+        'Fibonacci',
+        new FibonacciBlockMerger(),
+        [Block.of(1), Block.of(2)],
+        [90, 10],
+        [233, 377, 610, 987, 1597, 2584, 4181, 6765, 10946],
+        2584
+    ),
+    THREES: new MergeVariant(
+        'threes',
+        'Threes',
+        new ThreesBlockMerger(),
+        [Block.of(1), Block.of(2), Block.of(3)],
+        [40, 40, 20],
+        [192, 384, 768, 1536, 3072, 6144, 12288, 24576, 49152],
+        3072
+    ),
+});
+
+/**
+ * @implements {RandomNumberGenerator}
+ */
+class MathRandomNumberGenerator extends RandomNumberGenerator {
+    /**
+     * @param {number} value
+     */
+    seed(value) { }
+
+    /**
+     * @returns {number}
+     */
+    next() {
+        return Math.random();
+    }
+
+    /**
+     * @returns {undefined}
+     */
+    getState() {
+        return undefined;
+    }
+
+    /**
+     * @param {number} state
+     */
+    setState(state) { }
+}
+
+/**
+ * A Mulberry32 generator producing the same sequence for the same seed.
+ * @implements {RandomNumberGenerator}
+ */
+class SeededRandomNumberGenerator extends RandomNumberGenerator {
+    /**
+     * @type {number}
+     */
+    #state;
+
+    /**
+     * @param {number} seed
+     */
+    constructor(seed = SeededRandomNumberGenerator.randomSeed()) {
+        super();
+        this.seed(seed);
+    }
+
+    /**
+     * @returns {number} A random 32-bit unsigned integer suitable as a seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * @param {number} value
+     */
+    seed(value) {
+        this.#state = value >>> 0;
+    }
+
+    /**
+     * @returns {number}
+     */
+    next() {
+        this.#state = (this.#state + 0x6D2B79F5) >>> 0;
+        let t = this.#state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getState() {
+        return this.#state;
+    }
+
+    /**
+     * @param {number} state
+     */
+    setState(state) {
+        this.#state = state >>> 0;
+    }
+}
+
+/**
+ * @implements {StatefulBoardOperation}
+ */
+class GameBoardOperation extends StatefulBoardOperation {
+    /**
+     * @type {number}
+     */
+    #emptyCount;
+
+    /**
+     * @type {boolean}
+     */
+    #isDstMerged;
+
+    /**
+     * @type {BlockMerger}
+     */
+    #merger;
+
+    /**
+     * @type {OnBlockMergedListener|undefined}
+     */
+    #listener;
+
+    /**
+     * @param {BlockMerger} merger 
+     */
+    constructor(merger) {
+        super();
+        this.#emptyCount = 0;
+        this.#isDstMerged = false;
+        this.#merger = merger;
+        this.#listener = undefined;
+    }
+
+    /**
+     * @param {OnBlockMergedListener|undefined} listener 
+     */
+    prepare(listener = undefined) {
+        this.#emptyCount = 0;
+        this.#isDstMerged = false;
+        this.#listener = listener;
+    }
+
+    /**
+     * @param {Board} board 
+     * @param {Point} point
+     * @param {boolean} isNewRound 
+     * @param {PointMover} mover
+     * @returns {BlockMove|null}
+     */
+    operate(board, point, isNewRound, mover) {
+        if (isNewRound) {
+            this.#emptyCount = 0;
+            this.#isDstMerged = false;
+        }
+
+        const row = point.row();
+        const column = point.column();
+        if (!board.isWithinBound(row, column)) {
+            return null;
+        }
+
+        const block = board.blockAt(row, column);
+        if (!block) {
+            this.#emptyCount++;
+            return null;
+        }
+        else if (!block.isMovable()) {
+            // The blocks behind a stone pile up against it as if it were the edge of the board
+            this.#emptyCount = 0;
+            this.#isDstMerged = false;
+            return null;
+        }
+
+        let offset = 1 + this.#emptyCount;
+        let move = null;
+        while (offset > 0 && move === null) {
+            const dstPoint = mover.move(point, offset);
+            const dstRow = dstPoint.row();
+            const dstColumn = dstPoint.column();
+            
+            if (board.isWithinBound(dstRow, dstColumn)) {
+                move = this.#moveBlock(board, point, dstPoint, mover);
+            }
+
+            offset--;
+        }
+
+        return move;
+    }
+
+    /**
+     * @param {Board} board 
+     * @param {Point} from
+     * @param {Point} to
+     * @param {PointMover} mover
+     * @returns {BlockMove|null}
+     */
+    #moveBlock(board, from, to, mover) {
+        const row = from.row();
+        const column = from.column();
+        const dstRow = to.row();
+        const dstColumn = to.column();
+
+        const currentBlock = board.blockAt(row, column);
+        const dstBlock = board.blockAt(dstRow, dstColumn);
+
+        let success;
+        if (!dstBlock) {
+            board.setBlockAt(dstRow, dstColumn, currentBlock);
+            board.removeBlockAt(row, column);
+            this.#isDstMerged = false;
+            success = true;
+        }
+        else if (!this.#canMerge(currentBlock, dstBlock) || this.#isDstMerged) {
+            success = false;
+        }
+        else {
+            const mergedBlock = this.#merge(currentBlock, dstBlock);
+            board.setBlockAt(dstRow, dstColumn, mergedBlock);
+            board.removeBlockAt(row, column);
+            this.#isDstMerged = true;
+            this.#emptyCount++;
+            success = true;
+
+            let mergedPoint = to;
+            if (currentBlock.getKind() === BlockKind.BOMB || dstBlock.getKind() === BlockKind.BOMB) {
+                this.#clearNeighbours(board, to);
+                // The block cleared ahead was the one the block stopped against: the merged block takes its place and
+                // the blocks behind follow it
+                const ahead = mover.move(to, 1);
+                if (board.isWithinBound(ahead.row(), ahead.column())) {
+                    board.setBlockAt(ahead.row(), ahead.column(), mergedBlock);
+                    board.removeBlockAt(dstRow, dstColumn);
+                    this.#emptyCount++;
+                    mergedPoint = ahead;
+                }
+            }
+            this.#notifyListener(from, currentBlock, to, dstBlock, mergedBlock, mergedPoint);
+            to = mergedPoint;
+        }
+
+        return success ? new BlockMove(from, to, this.#isDstMerged) : null;
+    }
+
+    /**
+     * @param {Block} block1
+     * @param {Block} block2
+     * @returns {boolean}
+     */
+    #canMerge(block1, block2) {
+        if (!block1.isMovable() || !block2.isMovable()) {
+            return false;
+        }
+
+        const isWildcard1 = block1.getKind() === BlockKind.WILDCARD;
+        const isWildcard2 = block2.getKind() === BlockKind.WILDCARD;
+        if (isWildcard1 && isWildcard2) {
+            return false;
+        }
+        if (isWildcard1 || isWildcard2) {
+            return typeof this.#merger.mergeWithWildcard(isWildcard1 ? block2 : block1) !== 'undefined';
+        }
+        return this.#merger.canMerge(block1, block2);
+    }
+
+    /**
+     * @param {Block} block1
+     * @param {Block} block2
+     * @returns {Block}
+     */
+    #merge(block1, block2) {
+        if (block1.getKind() === BlockKind.WILDCARD) {
+            return this.#merger.mergeWithWildcard(block2);
+        }
+        else if (block2.getKind() === BlockKind.WILDCARD) {
+            return this.#merger.mergeWithWildcard(block1);
+        }
+        return this.#merger.merge(block1, block2);
+    }
+
+    /**
+     * @param {Board} board
+     * @param {Point} point
+     */
+    #clearNeighbours(board, point) {
+        const neighbours = [point.moveRow(-1), point.moveRow(1), point.moveColumn(-1), point.moveColumn(1)];
+        for (const neighbour of neighbours) {
+            if (board.isWithinBound(neighbour.row(), neighbour.column())) {
+                board.removeBlockAt(neighbour.row(), neighbour.column());
+            }
+        }
+    }
+
+    /**
+     * @param {Point} fromPoint
+     * @param {Block} fromBlock
+     * @param {Point} toPoint
+     * @param {Block} toBlock
+     * @param {Block} mergedBlock
+     * @param {Point} mergedPoint Where the merged block ends up, the point of the block merged into unless a bomb
+     * cleared the block ahead of it
+     */
+    #notifyListener(fromPoint, fromBlock, toPoint, toBlock, mergedBlock, mergedPoint) {
+        if (this.#listener) {
+            const from = new BlockWithPoint(fromBlock, fromPoint);
+            const to = new BlockWithPoint(toBlock, toPoint);
+            const result = new BlockWithPoint(mergedBlock, mergedPoint);
+            this.#listener.onBlockMerged(result, from, to);
+        }
+    }
+}
+
+/**
+ * @implements {OnBlockMergedListener}
+ */
+class TargetValueDetector extends OnBlockMergedListener {
+    /**
+     * @type {number}
+     */
+    #target;
+
+    /**
+     * @type {boolean}
+     */
+    #reached = false;
+
+    /**
+     * @param {number} target The block value to reach
+     */
+    constructor(target = TargetValueDetector.DEFAULT_TARGET) {
+        super();
+        this.#target = target;
+    }
+
+    static get DEFAULT_TARGET() {
+        return 2048;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getTarget() {
+        return this.#target;
+    }
+
+    /**
+     * @param {number} target
+     * @returns {this}
+     */
+    setTarget(target) {
+        this.#target = target;
+        return this;
+    }
+
+    /**
+     * @returns {boolean} Whether a merge has produced a block of at least the target value
+     */
+    isReached() {
+        return this.#reached;
+    }
+
+    /**
+     * @param {boolean} reached
+     * @returns {this}
+     */
+    setReached(reached) {
+        this.#reached = reached;
+        return this;
+    }
+
+    /**
+     * @param {BlockWithPoint} result
+     * @param {BlockWithPoint} from
+     * @param {BlockWithPoint} to
+     */
+    onBlockMerged(result, from, to) {
+        if (result.block.getValue() >= this.#target) {
+            this.#reached = true;
+        }
+    }
+}
+
+class GameSnapshot {
+    /**
+     * @type {Board}
+     */
+    #board;
+
+    /**
+     * @type {number}
+     */
+    #score;
+
+    /**
+     * @type {Point[]}
+     */
+    #mergedPoints;
+
+    /**
+     * @type {Point|undefined}
+     */
+    #spawnedPoint;
+
+    /**
+     * @type {number|undefined}
+     */
+    #rngState;
+
+    /**
+     * @type {boolean}
+     */
+    #won;
+
+    /**
+     * @type {boolean}
+     */
+    #continued;
+
+    /**
+     * @param {Board} board
+     * @param {number} score
+     * @param {Iterable<Point>} mergedPoints
+     * @param {Point|undefined} spawnedPoint
+     * @param {number|undefined} rngState The state of the random number generator, if it can be restored
+     * @param {boolean} won Whether the target had been reached
+     * @param {boolean} continued Whether the player had chosen to keep playing after reaching the target
+     */
+    constructor(board, score, mergedPoints = [], spawnedPoint = undefined, rngState = undefined, won = false,
+        continued = false) {
+        this.#board = Board.copy(board);
+        this.#score = score;
+        this.#mergedPoints = [...mergedPoints];
+        this.#spawnedPoint = spawnedPoint;
+        this.#rngState = rngState;
+        this.#won = won;
+        this.#continued = continued;
+    }
+
+    /**
+     * @param {string} json
+     * @returns {GameSnapshot}
+     */
+    static fromJson(json) {
+        const data = JSON.parse(json);
+        return new GameSnapshot(
+            Board.fromJson(data.board),
+            data.score,
+            data.mergeds.map(str => Point.parse(str)),
+            typeof data.spawned === 'string' ? Point.parse(data.spawned) : undefined,
+            data.rng,
+            data.won === true,
+            data.continued === true
+        );
+    }
+
+    /**
+     * @readonly
+     */
+    get board() {
+        return this.#board;
+    }
+
+    /**
+     * @readonly
+     */
+    get score() {
+        return this.#score;
+    }
+
+    /**
+     * @readonly
+     */
+    get mergedPoints() {
+        return this.#mergedPoints;
+    }
+
+    /**
+     * @readonly
+     */
+    get spawnedPoint() {
+        return this.#spawnedPoint;
+    }
+
+    /**
+     * @readonly
+     */
+    get rngState() {
+        return this.#rngState;
+    }
+
+    /**
+     * @readonly
+     */
+    get won() {
+        return this.#won;
+    }
+
+    /**
+     * @readonly
+     */
+    get continued() {
+        return this.#continued;
+    }
+
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return JSON.stringify({
+            board: this.#board.toJson(),
+            score: this.#score,
+            mergeds: this.#mergedPoints.map(point => point.toString()),
+            spawned: this.#spawnedPoint?.toString(),
+            rng: this.#rngState,
+            won: this.#won,
+            continued: this.#continued,
+        });
+    }
+}
+
+class GameHistory {
+    /**
+     * @type {GameSnapshot[]}
+     */
+    #undoStack = [];
+
+    /**
+     * @type {GameSnapshot[]}
+     */
+    #redoStack = [];
+
+    /**
+     * @type {number}
+     */
+    #capacity;
+
+    /**
+     * @param {number} capacity The maximum number of snapshots kept in each stack
+     */
+    constructor(capacity = Infinity) {
+        this.#capacity = capacity;
+    }
+
+    /**
+     * @param {string} json
+     * @param {number} capacity
+     * @returns {GameHistory}
+     */
+    static fromJson(json, capacity = Infinity) {
+        const data = JSON.parse(json);
+        const instance = new GameHistory(capacity);
+        instance.#undoStack = data.undos.map(snapshot => GameSnapshot.fromJson(snapshot));
+        instance.#redoStack = data.redos.map(snapshot => GameSnapshot.fromJson(snapshot));
+        instance.#trim(instance.#undoStack);
+        instance.#trim(instance.#redoStack);
+        return instance;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getCapacity() {
+        return this.#capacity;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.#undoStack.length !== 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.#redoStack.length !== 0;
+    }
+
+    /**
+     * Record the state before a move. Recording a new state discards every redoable state.
+     * @param {GameSnapshot} snapshot
+     */
+    record(snapshot) {
+        this.#undoStack.push(snapshot);
+        this.#trim(this.#undoStack);
+        this.#redoStack.length = 0;
+    }
+
+    /**
+     * @param {GameSnapshot} current The current state, kept so that the undo can be redone
+     * @returns {GameSnapshot|undefined} The previous state or undefined if there is nothing to undo
+     */
+    undo(current) {
+        const snapshot = this.#undoStack.pop();
+        if (snapshot) {
+            this.#redoStack.push(current);
+            this.#trim(this.#redoStack);
+        }
+        return snapshot;
+    }
+
+    /**
+     * @param {GameSnapshot} current The current state, kept so that the redo can be undone
+     * @returns {GameSnapshot|undefined} The next state or undefined if there is nothing to redo
+     */
+    redo(current) {
+        const snapshot = this.#redoStack.pop();
+        if (snapshot) {
+            this.#undoStack.push(current);
+            this.#trim(this.#undoStack);
+        }
+        return snapshot;
+    }
+
+    /**
+     * @returns {void}
+     */
+    clear() {
+        this.#undoStack.length = 0;
+        this.#redoStack.length = 0;
+    }
+
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return JSON.stringify({
+            undos: this.#undoStack.map(snapshot => snapshot.toJson()),
+            redos: this.#redoStack.map(snapshot => snapshot.toJson()),
+        });
+    }
+
+    /**
+     * Drop the oldest snapshots exceeding the capacity
+     * @param {GameSnapshot[]} stack
+     */
+    #trim(stack) {
+        const excess = stack.length - this.#capacity;
+        if (excess > 0) {
+            stack.splice(0, excess);
+        }
+    }
+}
+
+const ReplayAction = Object.freeze({
+    MOVE: 'move',
+    UNDO: 'undo',
+    REDO: 'redo',
+});
+
+class ReplayStep {
+    /**
+     * @type {Map<Direction[keyof typeof Direction], string>}
+     */
+    static #DIRECTION_CODES = new Map([
+        [Direction.UP, 'U'],
+        [Direction.DOWN, 'D'],
+        [Direction.LEFT, 'L'],
+        [Direction.RIGHT, 'R'],
+    ]);
+
+    static #UNDO_CODE = 'Z';
+    static #REDO_CODE = 'Y';
+
+    /**
+     * @type {ReplayAction[keyof typeof ReplayAction]}
+     */
+    #action;
+
+    /**
+     * @type {Direction[keyof typeof Direction]|undefined}
+     */
+    #direction;
+
+    /**
+     * @type {Point|undefined}
+     */
+    #spawnedPoint;
+
+    /**
+     * @type {Block|undefined}
+     */
+    #spawnedBlock;
+
+    /**
+     * @param {ReplayAction[keyof typeof ReplayAction]} action
+     * @param {Direction[keyof typeof Direction]|undefined} direction
+     * @param {Point|undefined} spawnedPoint
+     * @param {Block|undefined} spawnedBlock
+     */
+    constructor(action, direction = undefined, spawnedPoint = undefined, spawnedBlock = undefined) {
+        this.#action = action;
+        this.#direction = direction;
+        this.#spawnedPoint = spawnedPoint;
+        this.#spawnedBlock = spawnedBlock;
+    }
+
+    /**
+     * @param {Direction[keyof typeof Direction]} direction
+     * @param {Point|undefined} spawnedPoint
+     * @param {Block|undefined} spawnedBlock
+     * @returns {ReplayStep}
+     */
+    static move(direction, spawnedPoint, spawnedBlock) {
+        return new ReplayStep(ReplayAction.MOVE, direction, spawnedPoint, spawnedBlock);
+    }
+
+    /**
+     * @returns {ReplayStep}
+     */
+    static undo() {
+        return new ReplayStep(ReplayAction.UNDO);
+    }
+
+    /**
+     * @returns {ReplayStep}
+     */
+    static redo() {
+        return new ReplayStep(ReplayAction.REDO);
+    }
+
+    /**
+     * Parse a step in the format produced by toString(), e.g. 'U', 'L1,2=4', 'R0,3=bomb:2', 'Z' or 'Y'
+     * @param {string} str
+     * @returns {ReplayStep}
+     */
+    static parse(str) {
+        if (str === ReplayStep.#UNDO_CODE) {
+            return ReplayStep.undo();
+        }
+        else if (str === ReplayStep.#REDO_CODE) {
+            return ReplayStep.redo();
+        }
+
+        const direction = [...ReplayStep.#DIRECTION_CODES.entries()].find(([_, code]) => code === str[0])?.[0];
+        if (!direction) {
+            throw new Error(`Invalid replay step: ${str}`);
+        }
+        if (str.length === 1) {
+            return ReplayStep.move(direction, undefined, undefined);
+        }
+
+        const tokens = str.slice(1).split('=');
+        if (tokens.length !== 2) {
+            throw new Error(`Invalid replay step: ${str}`);
+        }
+        return ReplayStep.move(direction, Point.parse(tokens[0]), Block.parse(tokens[1]));
+    }
+
+    /**
+     * @readonly
+     */
+    get action() {
+        return this.#action;
+    }
+
+    /**
+     * @readonly
+     */
+    get direction() {
+        return this.#direction;
+    }
+
+    /**
+     * @readonly
+     */
+    get spawnedPoint() {
+        return this.#spawnedPoint;
+    }
+
+    /**
+     * @readonly
+     */
+    get spawnedBlock() {
+        return this.#spawnedBlock;
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        switch (this.#action) {
+            case ReplayAction.UNDO: return ReplayStep.#UNDO_CODE;
+            case ReplayAction.REDO: return ReplayStep.#REDO_CODE;
+        }
+
+        const code = ReplayStep.#DIRECTION_CODES.get(this.#direction);
+        if (!this.#spawnedPoint || !this.#spawnedBlock) {
+            return code;
+        }
+        return `${code}${this.#spawnedPoint.toString()}=${this.#spawnedBlock.toString()}`;
+    }
+}
+
+class Replay {
+    /**
+     * @type {Board}
+     */
+    #initialBoard;
+
+    /**
+     * @type {string}
+     */
+    #variantId;
+
+    /**
+     * @type {ReplayStep[]}
+     */
+    #steps = [];
+
+    /**
+     * @param {Board} initialBoard
+     * @param {string} variantId The id of the merge variant the game is played with
+     */
+    constructor(initialBoard, variantId = MergeVariants.CLASSIC.getId()) {
+        this.#initialBoard = Board.copy(initialBoard);
+        this.#variantId = variantId;
+    }
+
+    /**
+     * @param {string} json
+     * @returns {Replay}
+     */
+    static fromJson(json) {
+        const data = JSON.parse(json);
+        const instance = new Replay(Board.fromJson(data.board), data.variant);
+        if (data.steps) {
+            instance.#steps = data.steps.split(' ').map(str => ReplayStep.parse(str));
+        }
+        return instance;
+    }
+
+    /**
+     * @returns {Board}
+     */
+    getInitialBoard() {
+        return this.#initialBoard;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getVariantId() {
+        return this.#variantId;
+    }
+
+    /**
+     * @returns {ReplayStep[]}
+     */
+    getSteps() {
+        return this.#steps;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getLength() {
+        return this.#steps.length;
+    }
+
+    /**
+     * @returns {boolean} Whether every step spawns its block within the initial board, and a block its merge variant
+     * spawns, of the same kind and value
+     */
+    isPlayable() {
+        const variant = MergeVariant.byId(this.#variantId);
+        if (!variant) {
+            return false;
+        }
+
+        // Blocks are pooled, so that a block of the same kind and value is the same block
+        const spawnedBlocks = variant.getSpawnedBlocks();
+        return this.#steps.every(({ spawnedPoint, spawnedBlock }) => {
+            if (!spawnedPoint || !spawnedBlock) {
+                return true;
+            }
+            return this.#initialBoard.isWithinBound(spawnedPoint.row(), spawnedPoint.column())
+                && spawnedBlocks.includes(spawnedBlock);
+        });
+    }
+
+    /**
+     * @param {ReplayStep} step
+     */
+    record(step) {
+        this.#steps.push(step);
+    }
+
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return JSON.stringify({
+            board: this.#initialBoard.toJson(),
+            variant: this.#variantId,
+            steps: this.#steps.map(step => step.toString()).join(' '),
+        });
+    }
+}
+
+class Game {
+    /**
+     * @type {Board}
+     */
+    #board;
+
+    /**
+     * @type {BoardTraversalStrategyFactory}
      */
     #strategyFactory;
 
@@ -1085,16 +2274,36 @@ class Game {
      * @type {StatefulBoardOperation}
      */
     #operation;
+
+    /**
+     * @type {GameHistory}
+     */
+    #history;
+
+    /**
+     * @type {RandomNumberGenerator}
+     */
+    #rng;
     
     /**
      * @param {Board} board 
      * @param {BoardTraversalStrategyFactory} strategyFactory 
      * @param {StatefulBoardOperation} operation 
-     */
-    constructor(board, strategyFactory, operation) {
+     * @param {GameHistory} history
+     * @param {RandomNumberGenerator} rng The generator deciding the spawn slots and values
+     */
+    constructor(
+        board,
+        strategyFactory,
+        operation,
+        history = new GameHistory(),
+        rng = new MathRandomNumberGenerator()
+    ) {
         this.#board = board;
         this.#strategyFactory = strategyFactory;
         this.#operation = operation;
+        this.#history = history;
+        this.#rng = rng;
         this.#listener = undefined;
     }
     
@@ -1112,6 +2321,41 @@ class Game {
         return this.#strategyFactory;
     }
 
+    /**
+     * @returns {GameHistory}
+     */
+    getHistory() {
+        return this.#history;
+    }
+
+    /**
+     * @param {Board} board
+     */
+    setBoard(board) {
+        this.#board = board;
+    }
+
+    /**
+     * @param {StatefulBoardOperation} operation
+     */
+    setOperation(operation) {
+        this.#operation = operation;
+    }
+
+    /**
+     * @param {GameHistory} history
+     */
+    setHistory(history) {
+        this.#history = history;
+    }
+
+    /**
+     * @returns {RandomNumberGenerator}
+     */
+    getRandomNumberGenerator() {
+        return this.#rng;
+    }
+
     /**
      * @param {OnBlockMergedListener | undefined} listener 
      */
@@ -1126,6 +2370,18 @@ class Game {
         this.#board.clear();
     }
 
+    /**
+     * Replace every block of the board with the blocks of the given board
+     * @param {Board} board A board having the same dimensions
+     */
+    loadBoard(board) {
+        for (let i = 0; i < this.#board.getRowCount(); i++) {
+            for (let j = 0; j < this.#board.getColumnCount(); j++) {
+                this.#board.setBlockAt(i, j, board.blockAt(i, j));
+            }
+        }
+    }
+
     /**
      * @param {number|Point} rowOrPoint 
      * @param {number|undefined} column
@@ -1156,7 +2412,7 @@ class Game {
         }
         
         const emptySlots = this.#board.getEmptySlots();
-        const slot = randomItem(emptySlots);
+        const slot = randomItem(emptySlots, () => this.#rng.next());
         if (!slot) {
             return undefined;
         }
@@ -1165,13 +2421,27 @@ class Game {
         return slot;
     }
     
+    /**
+     * @param {Point} point
+     * @param {Block} block
+     * @return {Point|undefined} The spawned location or undefined if the slot is not empty.
+     */
+    spawnBlockAt(point, block) {
+        if (!block || this.blockAt(point)) {
+            return undefined;
+        }
+
+        this.#board.setBlockAt(point.row(), point.column(), block);
+        return point;
+    }
+
     /**
      * @param {Block[]} blocks
      * @param {number[]} weights
      * @return {Point|undefined} The spawned location or undefined if there is no empty slot.
      */
     spawnBlockWeighted(blocks, weights) {
-        const block = randomItemWeighted(blocks, weights);
+        const block = randomItemWeighted(blocks, weights, () => this.#rng.next());
         return this.spawnBlock(block);
     }
     
@@ -1196,4 +2466,80 @@ class Game {
         const moves = strategy.execute(tempBoard, this.#operation, true);
         return moves.size !== 0;
     }
-}
\ No newline at end of file
+
+    /**
+     * Restore the board to the state before the last recorded move
+     * @param {GameSnapshot} current The current state
+     * @returns {GameSnapshot|undefined} The restored state or undefined if there is nothing to undo
+     */
+    undo(current) {
+        const snapshot = this.#history.undo(current);
+        if (snapshot) {
+            this.#restoreSnapshot(snapshot);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Restore the board to the state before the last undo
+     * @param {GameSnapshot} current The current state
+     * @returns {GameSnapshot|undefined} The restored state or undefined if there is nothing to redo
+     */
+    redo(current) {
+        const snapshot = this.#history.redo(current);
+        if (snapshot) {
+            this.#restoreSnapshot(snapshot);
+        }
+        return snapshot;
+    }
+
+    /**
+     * @param {GameSnapshot} snapshot
+     */
+    #restoreSnapshot(snapshot) {
+        this.loadBoard(snapshot.board);
+        if (typeof snapshot.rngState === 'number') {
+            this.#rng.setState(snapshot.rngState);
+        }
+    }
+}
+
+export {
+    Direction,
+    BlockKind,
+    Point,
+    Block,
+    Board,
+    BlockMove,
+    BoardTraversalEntry,
+    PointMover,
+    BoardOperation,
+    BlockWithPoint,
+    OnBlockMergedListener,
+    StatefulBoardOperation,
+    BoardTraversalStrategy,
+    BoardTraversalStrategyFactory,
+    RandomNumberGenerator,
+    BlockMerger,
+    AbstractBoardTraversalStrategy,
+    BoardUpTraversalStrategy,
+    BoardDownTraversalStrategy,
+    BoardLeftTraversalStrategy,
+    BoardRightTraversalStrategy,
+    CachingBoardTraversalStrategyFactory,
+    IdenticalBlockMerger,
+    FibonacciBlockMerger,
+    ThreesBlockMerger,
+    MergeVariant,
+    MergeVariants,
+    MathRandomNumberGenerator,
+    SeededRandomNumberGenerator,
+    GameBoardOperation,
+    TargetValueDetector,
+    GameSnapshot,
+    GameHistory,
+    ReplayAction,
+    ReplayStep,
+    Replay,
+    Game,
+};
\ No newline at end of file
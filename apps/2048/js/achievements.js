@@ -0,0 +1,532 @@
+const ACHIEVEMENTS_STATE_KEY = 'achievements';
+
+const AchievementEventType = Object.freeze({
+    /**
+     * Two blocks merged, before the move is over
+     */
+    MERGE: 'merge',
+    /**
+     * A block spawned after a move
+     */
+    SPAWN: 'spawn',
+    /**
+     * A move is over, its merges and its spawn included
+     */
+    MOVE: 'move',
+    /**
+     * No block can move anymore
+     */
+    GAME_OVER: 'game-over',
+    /**
+     * A new game starts, every achievement starts its progress over
+     */
+    RESET: 'reset',
+});
+
+class AchievementEvent {
+    /**
+     * @type {AchievementEventType[keyof typeof AchievementEventType]}
+     */
+    type;
+
+    /**
+     * The board once the event happened
+     * @type {Board}
+     */
+    board;
+
+    /**
+     * The direction of the move, or of the move that made the merge
+     * @type {Direction[keyof typeof Direction]|undefined}
+     */
+    direction = undefined;
+
+    /**
+     * The value of the merged or spawned block
+     * @type {number|undefined}
+     */
+    value = undefined;
+
+    /**
+     * Whether the target of the game has been reached
+     * @type {boolean}
+     */
+    won = false;
+}
+
+/**
+ * A badge earned within a single game. Its progress during the game lives in a plain state object so that it can be
+ * saved along with the game.
+ * @interface
+ */
+class Achievement {
+    constructor() {
+        if(this.constructor === Achievement) {
+            throw new Error('Interface "Achievement" cannot be instantiated as it is an interface.');
+        }
+    }
+
+    /**
+     * @returns {string}
+     */
+    getId() {
+        throw new Error('Method "getId()" must be implemented.');
+    }
+
+    /**
+     * @returns {string}
+     */
+    getName() {
+        throw new Error('Method "getName()" must be implemented.');
+    }
+
+    /**
+     * @returns {string}
+     */
+    getDescription() {
+        throw new Error('Method "getDescription()" must be implemented.');
+    }
+
+    /**
+     * @returns {number} The progress unlocking the achievement
+     */
+    getGoal() {
+        throw new Error('Method "getGoal()" must be implemented.');
+    }
+
+    /**
+     * @returns {object} The state of a new game
+     */
+    createState() {
+        throw new Error('Method "createState()" must be implemented.');
+    }
+
+    /**
+     * @param {AchievementEvent} event
+     * @param {object} state Updated in place
+     */
+    onEvent(event, state) {
+        throw new Error('Method "onEvent()" must be implemented.');
+    }
+
+    /**
+     * @param {object} state
+     * @returns {number}
+     */
+    getProgress(state) {
+        throw new Error('Method "getProgress()" must be implemented.');
+    }
+}
+
+/**
+ * Holds the id, the name, the description and the goal shared by every achievement
+ * @implements {Achievement}
+ */
+class BaseAchievement extends Achievement {
+    /**
+     * @type {string}
+     */
+    #id;
+
+    /**
+     * @type {string}
+     */
+    #name;
+
+    /**
+     * @type {string}
+     */
+    #description;
+
+    /**
+     * @type {number}
+     */
+    #goal;
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @param {string} description
+     * @param {number} goal
+     */
+    constructor(id, name, description, goal) {
+        super();
+        this.#id = id;
+        this.#name = name;
+        this.#description = description;
+        this.#goal = goal;
+    }
+
+    getId() {
+        return this.#id;
+    }
+
+    getName() {
+        return this.#name;
+    }
+
+    getDescription() {
+        return this.#description;
+    }
+
+    getGoal() {
+        return this.#goal;
+    }
+}
+
+/**
+ * Reach a block value without ever moving in the given direction
+ */
+class AvoidedDirectionAchievement extends BaseAchievement {
+    /**
+     * @type {Direction[keyof typeof Direction]}
+     */
+    #direction;
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @param {Direction[keyof typeof Direction]} direction
+     * @param {number} value
+     */
+    constructor(id, name, direction, value) {
+        super(id, name, `Reach ${value} without moving ${direction}`, value);
+        this.#direction = direction;
+    }
+
+    createState() {
+        return { moved: false, maxValue: 0 };
+    }
+
+    onEvent(event, state) {
+        if (event.type === AchievementEventType.MOVE && event.direction === this.#direction) {
+            state.moved = true;
+        }
+        // The merges of a move come before the move itself
+        else if (event.type === AchievementEventType.MERGE && !state.moved && event.direction !== this.#direction) {
+            state.maxValue = Math.max(state.maxValue, event.value);
+        }
+    }
+
+    getProgress(state) {
+        return Math.min(state.maxValue, this.getGoal());
+    }
+}
+
+/**
+ * Reach the target on a board of the given size
+ */
+class BoardSizeWinAchievement extends BaseAchievement {
+    /**
+     * @type {number}
+     */
+    #rowCount;
+
+    /**
+     * @type {number}
+     */
+    #columnCount;
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @param {number} rowCount
+     * @param {number} columnCount
+     */
+    constructor(id, name, rowCount, columnCount) {
+        super(id, name, `Win on a ${rowCount}x${columnCount} board`, 1);
+        this.#rowCount = rowCount;
+        this.#columnCount = columnCount;
+    }
+
+    createState() {
+        return { won: false };
+    }
+
+    onEvent(event, state) {
+        const board = event.board;
+        if (event.won && board.getRowCount() === this.#rowCount && board.getColumnCount() === this.#columnCount) {
+            state.won = true;
+        }
+    }
+
+    getProgress(state) {
+        return state.won ? 1 : 0;
+    }
+}
+
+class MergeCountAchievement extends BaseAchievement {
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @param {number} count The merges to make in a single game
+     */
+    constructor(id, name, count) {
+        super(id, name, `Make ${count} merges in one game`, count);
+    }
+
+    createState() {
+        return { count: 0 };
+    }
+
+    onEvent(event, state) {
+        if (event.type === AchievementEventType.MERGE) {
+            state.count++;
+        }
+    }
+
+    getProgress(state) {
+        return Math.min(state.count, this.getGoal());
+    }
+}
+
+/**
+ * Reach a block value while the largest block sits in a corner after every move
+ */
+class CornerAchievement extends BaseAchievement {
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @param {number} value
+     */
+    constructor(id, name, value) {
+        super(id, name, `Reach ${value} with your largest tile in a corner after every move`, value);
+    }
+
+    createState() {
+        return { left: false, maxValue: 0 };
+    }
+
+    onEvent(event, state) {
+        if (event.type !== AchievementEventType.MOVE || state.left) {
+            return;
+        }
+
+        const board = event.board;
+        const maxValue = board.getMaxValue();
+        const lastRow = board.getRowCount() - 1;
+        const lastColumn = board.getColumnCount() - 1;
+        const corners = [[0, 0], [0, lastColumn], [lastRow, 0], [lastRow, lastColumn]];
+        if (corners.some(([row, column]) => board.blockAt(row, column)?.getValue() === maxValue)) {
+            state.maxValue = maxValue;
+        }
+        else {
+            state.left = true;
+        }
+    }
+
+    getProgress(state) {
+        return Math.min(state.maxValue, this.getGoal());
+    }
+}
+
+/**
+ * Get the same block spawned several times in a row
+ */
+class SpawnStreakAchievement extends BaseAchievement {
+    /**
+     * @type {number}
+     */
+    #value;
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @param {number} value
+     * @param {number} count
+     */
+    constructor(id, name, value, count) {
+        super(id, name, `Get ${count} blocks of ${value} spawned in a row`, count);
+        this.#value = value;
+    }
+
+    createState() {
+        return { streak: 0, best: 0 };
+    }
+
+    onEvent(event, state) {
+        if (event.type === AchievementEventType.SPAWN) {
+            state.streak = event.value === this.#value ? state.streak + 1 : 0;
+            state.best = Math.max(state.best, state.streak);
+        }
+    }
+
+    getProgress(state) {
+        return Math.min(state.best, this.getGoal());
+    }
+}
+
+class GameOverAchievement extends BaseAchievement {
+    /**
+     * @param {string} id
+     * @param {string} name
+     */
+    constructor(id, name) {
+        super(id, name, 'Play a game until it is over', 1);
+    }
+
+    createState() {
+        return { over: false };
+    }
+
+    onEvent(event, state) {
+        if (event.type === AchievementEventType.GAME_OVER) {
+            state.over = true;
+        }
+    }
+
+    getProgress(state) {
+        return state.over ? 1 : 0;
+    }
+}
+
+const Achievements = Object.freeze({
+    NEVER_GIVE_UP: new GameOverAchievement('never-give-up', 'Never give up'),
+    BUSY_HANDS: new MergeCountAchievement('busy-hands', 'Busy hands', 100),
+    GROUNDED: new AvoidedDirectionAchievement('grounded', 'Grounded', Direction.UP, 1024),
+    CORNER_STRATEGY: new CornerAchievement('corner-strategy', 'Corner strategy', 512),
+    SMALL_WORLD: new BoardSizeWinAchievement('small-world', 'Small world', 3, 3),
+    FOUR_LEAF: new SpawnStreakAchievement('four-leaf', 'Four-leaf clover', 4, 4),
+});
+
+/**
+ * Feed the game events to the achievements, keep the best progress of each one and unlock them once for good
+ */
+class AchievementEngine {
+    /**
+     * @type {Achievement[]}
+     */
+    #achievements;
+
+    /**
+     * The best progress ever made, per achievement id
+     * @type {Map<string, number>}
+     */
+    #progress = new Map();
+
+    /**
+     * When each achievement was unlocked, per achievement id
+     * @type {Map<string, number>}
+     */
+    #unlockDates = new Map();
+
+    /**
+     * The progress within the current game, per achievement id
+     * @type {Map<string, object>}
+     */
+    #gameStates = new Map();
+
+    /**
+     * @type {((achievement: Achievement) => void)|undefined}
+     */
+    #listener = undefined;
+
+    /**
+     * @param {Achievement[]} achievements
+     */
+    constructor(achievements = Object.values(Achievements)) {
+        this.#achievements = achievements;
+        this.#resetGameStates();
+    }
+
+    /**
+     * @param {((achievement: Achievement) => void)|undefined} listener Notified once per unlocked achievement
+     */
+    setOnUnlockedListener(listener) {
+        this.#listener = listener;
+    }
+
+    /**
+     * @returns {Achievement[]}
+     */
+    getAchievements() {
+        return [...this.#achievements];
+    }
+
+    /**
+     * @param {Achievement} achievement
+     * @returns {number}
+     */
+    getProgress(achievement) {
+        return this.#progress.get(achievement.getId()) ?? 0;
+    }
+
+    /**
+     * @param {Achievement} achievement
+     * @returns {number|undefined} The time it was unlocked at, undefined if it is still locked
+     */
+    getUnlockDate(achievement) {
+        return this.#unlockDates.get(achievement.getId());
+    }
+
+    /**
+     * @param {AchievementEvent} event
+     */
+    dispatch(event) {
+        if (event.type === AchievementEventType.RESET) {
+            this.#resetGameStates();
+            return;
+        }
+
+        for (const achievement of this.#achievements) {
+            const id = achievement.getId();
+            if (this.#unlockDates.has(id)) {
+                continue;
+            }
+
+            const state = this.#gameStates.get(id);
+            achievement.onEvent(event, state);
+            const progress = achievement.getProgress(state);
+            this.#progress.set(id, Math.max(progress, this.getProgress(achievement)));
+            if (progress >= achievement.getGoal()) {
+                this.#unlockDates.set(id, Date.now());
+                this.#listener?.(achievement);
+            }
+        }
+    }
+
+    /**
+     * @param {string|null} json Saved by `progressToJson()`
+     */
+    loadProgress(json) {
+        const data = json ? JSON.parse(json) : {};
+        this.#progress = new Map(Object.entries(data.progress ?? {}));
+        this.#unlockDates = new Map(Object.entries(data.unlocked ?? {}));
+    }
+
+    /**
+     * @returns {string} The lifetime progress of every achievement
+     */
+    progressToJson() {
+        return JSON.stringify({
+            progress: Object.fromEntries(this.#progress),
+            unlocked: Object.fromEntries(this.#unlockDates),
+        });
+    }
+
+    /**
+     * @param {string|null} json Saved by `gameToJson()`. Achievements missing from it start over.
+     */
+    loadGame(json) {
+        this.#resetGameStates();
+        const data = json ? JSON.parse(json) : {};
+        for (const achievement of this.#achievements) {
+            const state = data[achievement.getId()];
+            if (state) {
+                this.#gameStates.set(achievement.getId(), { ...achievement.createState(), ...state });
+            }
+        }
+    }
+
+    /**
+     * @returns {string} The progress within the current game
+     */
+    gameToJson() {
+        return JSON.stringify(Object.fromEntries(this.#gameStates));
+    }
+
+    #resetGameStates() {
+        const entries = this.#achievements.map(achievement => [achievement.getId(), achievement.createState()]);
+        this.#gameStates = new Map(entries);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * How fast the page animates, chosen by the player or following the reduced motion preference of the system
+ */
+const AnimationSpeed = Object.freeze({
+    OFF: 'off',
+    FAST: 'fast',
+    NORMAL: 'normal',
+});
+
+const ANIMATION_SPEED_STATE_KEY = 'animation-speed';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * @returns {AnimationSpeed[keyof typeof AnimationSpeed]} The speed the page animates at, read by the styles from the
+ * root element
+ */
+const getAnimationSpeed = () => document.documentElement.dataset.animationSpeed ?? AnimationSpeed.NORMAL;
+
+/**
+ * @returns {boolean} Whether the animations are off, so that no animation or transition event ever fires
+ */
+const areAnimationsOff = () => getAnimationSpeed() === AnimationSpeed.OFF;
+
+/**
+ * @returns {AnimationSpeed[keyof typeof AnimationSpeed]|undefined} The speed chosen by the player, if any
+ */
+const getSavedAnimationSpeed = () => {
+    const savedSpeed = SaveDocument.load(localStorage).getState(ANIMATION_SPEED_STATE_KEY);
+    return Object.values(AnimationSpeed).includes(savedSpeed) ? savedSpeed : undefined;
+}
+
+/**
+ * Animate at the speed chosen by the player, or turn the animations off when the system asks for reduced motion
+ */
+const applyAnimationSpeed = () => {
+    const reducedMotion = window.matchMedia?.(REDUCED_MOTION_QUERY).matches;
+    document.documentElement.dataset.animationSpeed = getSavedAnimationSpeed()
+        ?? (reducedMotion ? AnimationSpeed.OFF : AnimationSpeed.NORMAL);
+}
+
+/**
+ * @param {AnimationSpeed[keyof typeof AnimationSpeed]|undefined} speed The chosen speed, or nothing to follow the
+ * system
+ */
+const saveAnimationSpeed = (speed) => {
+    SaveDocument.update(localStorage, saveDocument => saveDocument.setState(ANIMATION_SPEED_STATE_KEY, speed));
+    applyAnimationSpeed();
+}
+
+/**
+ * Apply the animation speed now and whenever the reduced motion preference of the system changes
+ */
+const followAnimationSpeed = () => {
+    applyAnimationSpeed();
+    window.matchMedia?.(REDUCED_MOTION_QUERY).addEventListener?.('change', applyAnimationSpeed);
+}
\ No newline at end of file
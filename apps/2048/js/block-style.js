@@ -0,0 +1,54 @@
+/**
+ * Larger values are styled as this one with a smaller font
+ */
+const MAX_VALUE_STYLE = 1 << 17;
+
+/**
+ * @param {HTMLElement} cell
+ * @param {Block} block
+ */
+const addBlockStyle = (cell, block) => {
+    const kind = block.getKind();
+    if (kind === BlockKind.NUMBER) {
+        delete cell.dataset.kind;
+    }
+    else {
+        cell.dataset.kind = kind;
+    }
+
+    switch (kind) {
+        case BlockKind.STONE:
+            cell.innerText = '';
+            delete cell.dataset.value;
+            break;
+        case BlockKind.WILDCARD:
+            cell.innerText = '★';
+            delete cell.dataset.value;
+            break;
+        default:
+            addValueStyle(cell, block.getValue());
+    }
+}
+
+/**
+ * @param {HTMLElement} cell 
+ * @param {number} value 
+ */
+const addValueStyle = (cell, value) => {
+    cell.innerText = value;
+
+    if (value <= MAX_VALUE_STYLE) {
+        cell.dataset.value = value;
+    }
+    else {
+        cell.dataset.value = MAX_VALUE_STYLE;
+
+        cell.style.fontSize = '';
+        const lengthDiff = value.toString().length - MAX_VALUE_STYLE.toString().length;
+        const scalingFactor = 1.15 ** lengthDiff;
+        const style = getComputedStyle(cell);
+        const maxValueFontSize = parseFloat(style.fontSize);
+        const newFontSize = Math.max(maxValueFontSize / scalingFactor, 12);
+        cell.style.fontSize = `${newFontSize.toFixed(2)}px`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,278 @@
+/**
+ * Play a single board: its session, its cells and its score. Several controllers can run side by side on one page as
+ * every one of them only touches its own elements.
+ */
+class BoardController {
+    static get INITIAL_BLOCK_COUNT() {
+        return 2;
+    }
+
+    /**
+     * @type {Game}
+     */
+    #game;
+
+    /**
+     * @type {GameSession}
+     */
+    #session;
+
+    /**
+     * @type {CellManager}
+     */
+    #cellManager;
+
+    /**
+     * @type {BoardRenderer}
+     */
+    #renderer;
+
+    /**
+     * @type {MergeVariant}
+     */
+    #variant;
+
+    /**
+     * @type {HTMLElement}
+     */
+    #boardElement;
+
+    /**
+     * @type {HTMLElement}
+     */
+    #scoreElement;
+
+    /**
+     * @type {boolean}
+     */
+    #rendering = false;
+
+    /**
+     * Obstacles received while the board was rendering, dropped once it is done
+     * @type {number}
+     */
+    #pendingObstacleCount = 0;
+
+    /**
+     * @param {HTMLElement} boardElement
+     * @param {HTMLElement} scoreElement
+     * @param {MergeVariant} variant
+     * @param {number} rowCount
+     * @param {number} columnCount
+     */
+    constructor(boardElement, scoreElement, variant = MergeVariants.CLASSIC, rowCount = 4, columnCount = 4) {
+        this.#variant = variant;
+        this.#boardElement = boardElement;
+        this.#scoreElement = scoreElement;
+        this.#game = new Game(
+            new Board(rowCount, columnCount),
+            new CachingBoardTraversalStrategyFactory(),
+            new GameBoardOperation(variant.getMerger()),
+            new GameHistory(1),
+            new SeededRandomNumberGenerator()
+        );
+        this.#session = new GameSession(this.#game);
+
+        this.#cellManager = new CellManager(this.#game, boardElement, (creator) => new DomRecycler(creator));
+        this.#cellManager.setStyler((cell, block) => addBlockStyle(cell, block));
+        this.#cellManager.setLabeler(block => BoardReader.describeBlock(block));
+        this.#renderer = new BoardRenderer(this.#game, this.#cellManager);
+        this.#applyBoardLayout();
+    }
+
+    /**
+     * @returns {Game}
+     */
+    getGame() {
+        return this.#game;
+    }
+
+    /**
+     * @returns {GameSession} Publishes the merges, the moves and the score of this board
+     */
+    getSession() {
+        return this.#session;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getScore() {
+        return this.#session.getScore();
+    }
+
+    /**
+     * @returns {boolean} Whether no block can move anymore
+     */
+    isStopped() {
+        return this.#session.isStopped();
+    }
+
+    /**
+     * @returns {MergeVariant}
+     */
+    getVariant() {
+        return this.#variant;
+    }
+
+    /**
+     * @param {MergeVariant} variant
+     */
+    setVariant(variant) {
+        this.#variant = variant;
+        this.#game.setOperation(new GameBoardOperation(variant.getMerger()));
+        this.#applyBoardLayout();
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    init() {
+        return this.#cellManager.initBaseCells();
+    }
+
+    /**
+     * Clear the board and spawn the initial blocks
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.#cellManager.clear();
+        this.#game.clearBoard();
+        this.#game.getRandomNumberGenerator().seed(SeededRandomNumberGenerator.randomSeed());
+        this.#session.reset();
+        this.#pendingObstacleCount = 0;
+        for (let i = 0; i < BoardController.INITIAL_BLOCK_COUNT; i++) {
+            this.#spawnBlock();
+        }
+        await this.#renderInitialBoard();
+    }
+
+    /**
+     * Show the given board without animating how it was reached
+     * @param {Board} board
+     * @param {number} score
+     * @returns {Promise<void>}
+     */
+    async load(board, score) {
+        this.#cellManager.clear();
+        const current = this.#game.getBoard();
+        if (current.getRowCount() !== board.getRowCount() || current.getColumnCount() !== board.getColumnCount()) {
+            this.#game.setBoard(new Board(board.getRowCount(), board.getColumnCount()));
+            this.#applyBoardLayout();
+            this.#cellManager.rebuildBaseCells();
+        }
+        this.#game.loadBoard(board);
+        this.#session.restore(score);
+        await this.#renderInitialBoard();
+    }
+
+    async #renderInitialBoard() {
+        this.#renderScore();
+        this.#rendering = true;
+        await this.#renderer.renderBoard();
+        this.#rendering = false;
+    }
+
+    /**
+     * @param {Direction[keyof typeof Direction]} direction
+     * @returns {Promise<boolean>} Whether any block was moved. Moves are ignored while the previous one is rendering.
+     */
+    async move(direction) {
+        if (this.#session.isStopped()) {
+            return false;
+        }
+        return this.#playMove(direction, () => this.#spawnBlock());
+    }
+
+    /**
+     * Play a move made somewhere else, spawning the same block at the same place
+     * @param {Direction[keyof typeof Direction]} direction
+     * @param {Point|undefined} spawnedPoint
+     * @param {Block|undefined} spawnedBlock
+     * @returns {Promise<boolean>} Whether any block was moved
+     */
+    async applyMove(direction, spawnedPoint, spawnedBlock) {
+        return this.#playMove(direction, () => spawnedPoint && this.#game.spawnBlockAt(spawnedPoint, spawnedBlock));
+    }
+
+    /**
+     * @param {Direction[keyof typeof Direction]} direction
+     * @param {() => Point|undefined} spawner
+     * @returns {Promise<boolean>}
+     */
+    async #playMove(direction, spawner) {
+        if (this.#rendering) {
+            return false;
+        }
+
+        this.#clearHighlights();
+        const moves = this.#session.move(direction, spawner);
+        if (moves.size === 0) {
+            return false;
+        }
+
+        this.#rendering = true;
+        await this.#renderer.renderMoves(moves);
+        this.#renderScore();
+        await this.#renderer.renderSpawned(this.#session.getSpawnedPoint());
+        this.#cellManager.refreshLabels();
+        this.#rendering = false;
+
+        await this.#dropPendingObstacles();
+        this.#session.refreshStopped();
+        return true;
+    }
+
+    /**
+     * Spawn a stone on a random empty slot, right away or once the current move is rendered
+     * @returns {Promise<void>}
+     */
+    async dropObstacle() {
+        this.#pendingObstacleCount++;
+        if (!this.#rendering) {
+            await this.#dropPendingObstacles();
+            this.#session.refreshStopped();
+        }
+    }
+
+    async #dropPendingObstacles() {
+        while (this.#pendingObstacleCount > 0 && !this.#session.isStopped()) {
+            this.#pendingObstacleCount--;
+            const point = this.#game.spawnBlock(Block.stone());
+            if (!point) {
+                break;
+            }
+
+            this.#rendering = true;
+            await this.#renderer.renderSpawned(point, 'obstacle');
+            this.#cellManager.refreshLabels();
+            this.#rendering = false;
+        }
+        this.#pendingObstacleCount = 0;
+    }
+
+    /**
+     * @returns {Point|undefined}
+     */
+    #spawnBlock() {
+        return this.#game.spawnBlockWeighted(this.#variant.getSpawnedBlocks(), this.#variant.getSpawnedWeights());
+    }
+
+    #clearHighlights() {
+        this.#renderer.clearMerged(this.#session.getMergedPoints());
+        this.#renderer.clearSpawned(this.#session.getSpawnedPoint());
+    }
+
+    /**
+     * Lay the cells out for the board size and pick the tile palette of the variant
+     */
+    #applyBoardLayout() {
+        const board = this.#game.getBoard();
+        this.#boardElement.style.gridTemplateColumns = `repeat(${board.getColumnCount()}, minmax(0, 1fr))`;
+        this.#boardElement.dataset.variant = this.#variant.getId();
+    }
+
+    #renderScore() {
+        this.#scoreElement.textContent = this.#session.getScore();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Put the board and the moves played on it into words, for screen readers and speech
+ */
+class BoardReader {
+    /**
+     * @param {Block|undefined} block
+     * @returns {string}
+     */
+    static describeBlock(block) {
+        if (!block) {
+            return 'empty';
+        }
+
+        switch (block.getKind()) {
+            case BlockKind.STONE:
+                return 'stone';
+            case BlockKind.WILDCARD:
+                return 'wildcard';
+            case BlockKind.BOMB:
+                return `bomb ${block.getValue()}`;
+            default:
+                return block.getValue().toString();
+        }
+    }
+
+    /**
+     * @param {Point} point
+     * @returns {string} The position counted from 1, as players read it
+     */
+    static describePoint(point) {
+        return `row ${point.row() + 1}, column ${point.column() + 1}`;
+    }
+
+    /**
+     * @param {Board} board
+     * @returns {string} Every row from the top, every slot from the left
+     */
+    static describeBoard(board) {
+        const rows = [];
+        for (let row = 0; row < board.getRowCount(); row++) {
+            const slots = [];
+            for (let column = 0; column < board.getColumnCount(); column++) {
+                slots.push(BoardReader.describeBlock(board.blockAt(row, column)));
+            }
+            rows.push(`Row ${row + 1}: ${slots.join(', ')}.`);
+        }
+        return rows.join(' ');
+    }
+
+    /**
+     * @param {Direction[keyof typeof Direction]} direction
+     * @param {Board} before The board before the move
+     * @param {Board} after The board after the move and the spawn
+     * @param {Map<Point, BlockMove>} moves
+     * @param {Point|undefined} spawnedPoint
+     * @returns {string} Such as "Moved up. Merged two 64s into 128 at row 2, column 3; new 2 spawned at row 1, column 4."
+     */
+    static describeMove(direction, before, after, moves, spawnedPoint) {
+        const outcomes = [];
+        for (const move of moves.values()) {
+            if (move.merged) {
+                const result = BoardReader.describeBlock(after.blockAt(move.to.row(), move.to.column()));
+                const merged = BoardReader.#describeMergedBlocks(before, moves, move);
+                outcomes.push(`merged ${merged} into ${result} at ${BoardReader.describePoint(move.to)}`);
+            }
+        }
+        if (spawnedPoint) {
+            const spawned = BoardReader.describeBlock(after.blockAt(spawnedPoint.row(), spawnedPoint.column()));
+            outcomes.push(`new ${spawned} spawned at ${BoardReader.describePoint(spawnedPoint)}`);
+        }
+
+        const text = outcomes.join('; ');
+        return `Moved ${direction}.` + (text ? ` ${text.charAt(0).toUpperCase()}${text.slice(1)}.` : '');
+    }
+
+    /**
+     * @param {Board} before
+     * @param {Map<Point, BlockMove>} moves
+     * @param {BlockMove} merge
+     * @returns {string} Such as "two 64s" or "3 and 5"
+     */
+    static #describeMergedBlocks(before, moves, merge) {
+        const sources = [...moves.values()].filter(move => move.to === merge.to).map(move => move.from);
+        // The block merged into may not have moved at all
+        if (sources.length < 2) {
+            sources.push(merge.to);
+        }
+
+        const [first, second] = sources.map(point => {
+            return BoardReader.describeBlock(before.blockAt(point.row(), point.column()));
+        });
+        return first === second ? `two ${first}s` : `${first} and ${second}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * Animate a board through its cells: the blocks of a new board, the moves with their merges and the spawned blocks.
+ * The board of the game page and the ones of the other pages are all rendered by it.
+ */
+class BoardRenderer {
+    /**
+     * @type {Game}
+     */
+    #game;
+
+    /**
+     * @type {CellManager}
+     */
+    #cellManager;
+
+    /**
+     * @param {Game} game
+     * @param {CellManager} cellManager
+     */
+    constructor(game, cellManager) {
+        this.#game = game;
+        this.#cellManager = cellManager;
+    }
+
+    /**
+     * Show every block of the board without animating how it was reached
+     * @param {Set<Point>} mergedPoints The blocks merged by the last move, highlighted again
+     * @param {Point|undefined} spawnedPoint The block spawned by the last move, highlighted again
+     * @returns {Promise<void>}
+     */
+    async renderBoard(mergedPoints = new Set(), spawnedPoint = undefined) {
+        await conditionalEventListener(
+            {
+                items: this.#game.getBoard().getOccupiedSlots(),
+                elementSupplier: point => this.#cellManager.create(point),
+                eventType: 'animationend',
+                eventFilter: evt => evt.animationName === 'fade-in',
+                skipAnimations: areAnimationsOff(),
+            },
+            {
+                onEachItem: (cell, point) => {
+                    cell.classList.add('new-game');
+                    if (point === spawnedPoint) {
+                        cell.classList.add('spawned');
+                    }
+                    if (mergedPoints.has(point)) {
+                        cell.classList.add('merged');
+                    }
+                },
+                onEachEvent: cell => cell.classList.remove('new-game'),
+            }
+        );
+        this.#cellManager.refreshLabels();
+    }
+
+    /**
+     * Slide the moved blocks, then bounce the merged ones
+     * @param {Map<Point, BlockMove>} moves
+     * @returns {Promise<void>}
+     */
+    async renderMoves(moves) {
+        /**
+         * @type {{cell: HTMLElement, cleanUp: (() => void) | undefined, newBlock: Block|undefined}[]}
+         */
+        const mergeds = [];
+
+        await conditionalEventListener(
+            {
+                items: [...moves.values()],
+                elementSupplier: move => this.#cellManager.get(move.from),
+                eventType: 'transitionend',
+                eventFilter: evt => evt.propertyName === 'left' || evt.propertyName === 'top',
+                skipAnimations: areAnimationsOff(),
+            },
+            {
+                onEachItem: (cell, move) => {
+                    const { from, to, merged } = move;
+                    const cleanUp = this.#cellManager.move(from, to, merged);
+                    if (merged) {
+                        mergeds.push({ cell, cleanUp, newBlock: this.#game.blockAt(to) });
+                    }
+                }
+            }
+        );
+
+        await conditionalEventListener(
+            {
+                items: mergeds,
+                elementSupplier: e => e.cell,
+                eventType: 'animationend',
+                eventFilter: evt => evt.animationName === 'bounce-merged-block',
+                skipAnimations: areAnimationsOff(),
+            },
+            {
+                onEachItem: (cell, e) => {
+                    e.cleanUp?.();
+                    cell.classList.add('bounce-merged');
+                },
+                onEachEvent: (cell, e) => {
+                    cell.classList.remove('bounce-merged');
+                    cell.classList.add('merged');
+                    if (e.newBlock) {
+                        addBlockStyle(cell, e.newBlock);
+                    }
+                },
+            }
+        );
+        this.#cellManager.prune();
+    }
+
+    /**
+     * @param {Point|undefined} point
+     * @param {string} className Highlights the block, 'spawned' for the blocks spawned by a move
+     * @returns {Promise<void>}
+     */
+    async renderSpawned(point, className = 'spawned') {
+        if (!point) {
+            return;
+        }
+
+        await conditionalEventListener(
+            {
+                items: this.#cellManager.create(point),
+                elementSupplier: cell => cell,
+                eventType: 'animationend',
+                eventFilter: evt => evt.animationName === 'fade-in',
+                skipAnimations: areAnimationsOff(),
+            },
+            {
+                onEachItem: cell => cell.classList.add(className),
+            }
+        );
+    }
+
+    /**
+     * @param {Iterable<Point>} mergedPoints
+     */
+    clearMerged(mergedPoints) {
+        for (const point of mergedPoints) {
+            this.#cellManager.get(point)?.classList.remove('merged');
+        }
+    }
+
+    /**
+     * @param {Point|undefined} spawnedPoint
+     */
+    clearSpawned(spawnedPoint) {
+        if (spawnedPoint) {
+            this.#cellManager.get(spawnedPoint)?.classList.remove('spawned');
+        }
+    }
+}
\ No newline at end of file
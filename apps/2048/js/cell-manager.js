@@ -15,10 +15,21 @@ class CellManager {
     #recycler;
 
     /**
-     * @type {((cell: HTMLElement, value: number) => void) | undefined}
+     * @type {((cell: HTMLElement, block: Block) => void) | undefined}
      */
     #styler = undefined;
 
+    /**
+     * @type {((block: Block|undefined) => string) | undefined}
+     */
+    #labeler = undefined;
+
+    /**
+     * The rows of the grid read by assistive technologies. They do not take part in the layout.
+     * @type {HTMLElement[]}
+     */
+    #rowElements = [];
+
     /**
      * @type {Map<Point, BaseEntry>}
      */
@@ -39,16 +50,38 @@ class CellManager {
         this.#container = container;
         this.#recycler = recyclerSupplier(() => document.createElement('div'));
 
+        this.#container.setAttribute('role', 'grid');
+        this.#container.addEventListener('keydown', evt => this.#handleGridKeydown(evt));
         this.#setupRecyclerListeners();
     }
 
     /**
-     * @param {((cell: HTMLElement, value: number) => void) | undefined} styler
+     * @param {((cell: HTMLElement, block: Block) => void) | undefined} styler
      */
     setStyler(styler) {
         this.#styler = styler;
     }
 
+    /**
+     * @param {((block: Block|undefined) => string) | undefined} labeler Describe the block of a slot, or its absence
+     */
+    setLabeler(labeler) {
+        this.#labeler = labeler;
+    }
+
+    /**
+     * Label every slot of the grid after the block it holds on the board
+     */
+    refreshLabels() {
+        if (!this.#labeler) {
+            return;
+        }
+
+        for (const [point, entry] of this.#baseEntries.entries()) {
+            entry.cell.setAttribute('aria-label', this.#labeler(this.#game.blockAt(point)));
+        }
+    }
+
     /**
      * @returns {Promise<void>}
      */
@@ -65,6 +98,21 @@ class CellManager {
         });
     }
 
+    /**
+     * Recreate the base cells to match the current dimensions of the game board. Every cell is cleared.
+     * @returns {void}
+     */
+    rebuildBaseCells() {
+        this.clear();
+        for (const entry of this.#baseEntries.values()) {
+            entry.remove();
+        }
+        this.#rowElements.forEach(rowElement => rowElement.remove());
+        this.#rowElements = [];
+        this.#baseEntries.clear();
+        this.#initBaseEntries();
+    }
+
     /**
      * @returns {void}
      */
@@ -126,12 +174,30 @@ class CellManager {
         return true;
     }
 
+    /**
+     * Remove the cells whose slot is empty on the board, such as the blocks cleared by a bomb
+     * @returns {number} The number of removed cells
+     */
+    prune() {
+        const board = this.#game.getBoard();
+        let count = 0;
+        for (const point of [...this.#movingCells.keys()]) {
+            if (!board.blockAt(point.row(), point.column())) {
+                this.delete(point);
+                count++;
+            }
+        }
+        return count;
+    }
+
     /**
      * @param {Point} from 
      * @param {Point} to
+     * @param {boolean} merged Whether the block merges into the one at the destination. Otherwise a cell still at the
+     * destination is left over from a block cleared during the move, such as by a bomb, and is removed right away.
      * @returns {(() => void) | undefined} The cleanup function
      */
-    move(from, to) {
+    move(from, to, merged = false) {
         const cell = this.#movingCells.get(from);
         if (!cell) {
             return undefined;
@@ -145,8 +211,14 @@ class CellManager {
         }
 
         const toCell = this.#movingCells.get(to);
-        const cleanUp = toCell ? () => toCell.remove() : undefined; 
-        
+        let cleanUp = undefined;
+        if (toCell && merged) {
+            cleanUp = () => toCell.remove();
+        }
+        else {
+            toCell?.remove();
+        }
+
         this.#movingCells.delete(from);
         this.#movingCells.set(to, cell);
         return cleanUp;
@@ -156,6 +228,8 @@ class CellManager {
         this.#recycler
             .addEventListener('created', (evt) => {
                 const cell = evt.target;
+                // The grid cells describe the blocks, which only show them
+                cell.setAttribute('aria-hidden', 'true');
                 this.#container.appendChild(cell);
                 cell.classList.add('game-block');
             })
@@ -166,14 +240,72 @@ class CellManager {
     #initBaseEntries() {
         const board = this.#game.getBoard();
         for (let i = 0; i < board.getRowCount(); i++) {
+            const rowElement = document.createElement('div');
+            rowElement.classList.add('game-board-row');
+            rowElement.setAttribute('role', 'row');
+            this.#container.appendChild(rowElement);
+            this.#rowElements.push(rowElement);
+
             for (let j = 0; j < board.getColumnCount(); j++) {
                 const emptyCell = document.createElement('div');
                 emptyCell.classList.add('game-block-empty');
+                emptyCell.setAttribute('role', 'gridcell');
+                emptyCell.tabIndex = i === 0 && j === 0 ? 0 : -1;
 
-                this.#container.appendChild(emptyCell);
+                rowElement.appendChild(emptyCell);
                 this.#baseEntries.set(Point.of(i, j), new BaseEntry(emptyCell));
             }
         }
+        this.refreshLabels();
+    }
+
+    /**
+     * Move the focus between the cells of the grid with the arrow keys, Home and End. The keys do not move the
+     * blocks while a cell has the focus.
+     * @param {KeyboardEvent} evt
+     */
+    #handleGridKeydown(evt) {
+        const point = [...this.#baseEntries.keys()].find(point => this.#baseEntries.get(point).cell === evt.target);
+        if (!point) {
+            return;
+        }
+
+        const board = this.#game.getBoard();
+        let row = point.row();
+        let column = point.column();
+        switch (evt.key) {
+            case 'ArrowUp':
+                row--;
+                break;
+            case 'ArrowDown':
+                row++;
+                break;
+            case 'ArrowLeft':
+                column--;
+                break;
+            case 'ArrowRight':
+                column++;
+                break;
+            case 'Home':
+                column = 0;
+                break;
+            case 'End':
+                column = board.getColumnCount() - 1;
+                break;
+            default:
+                return;
+        }
+
+        evt.preventDefault();
+        evt.stopPropagation();
+        const target = Point.of(
+            boundValue(row, 0, board.getRowCount() - 1),
+            boundValue(column, 0, board.getColumnCount() - 1)
+        );
+        for (const [entryPoint, entry] of this.#baseEntries.entries()) {
+            entry.cell.tabIndex = entryPoint === target ? 0 : -1;
+        }
+        this.#baseEntries.get(target)?.cell.focus();
     }
 
     #attachResizeObserver() {
@@ -216,15 +348,15 @@ class CellManager {
      * @param {Point} point
      */
     #invokeCellStyler(cell, point) {
-        const value = this.#game.blockAt(point)?.getValue();
-        if (!value) {
+        const block = this.#game.blockAt(point);
+        if (!block) {
             cell.textContent = '';
         }
         else if (!this.#styler) {
-            cell.textContent = value.toString();
+            cell.textContent = block.getValue() ? block.getValue().toString() : '';
         }
         else {
-            this.#styler(cell, value);
+            this.#styler(cell, block);
         }
     }
 }
@@ -263,6 +395,14 @@ class BaseEntry {
         this.recalculateDimensions();
     }
 
+    remove() {
+        this.#cell.remove();
+    }
+
+    get cell() {
+        return this.#cell;
+    }
+
     recalculateDimensions() {
         this.#top = this.#cell.offsetTop;
         this.#left = this.#cell.offsetLeft;
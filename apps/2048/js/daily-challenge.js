@@ -0,0 +1,132 @@
+/**
+ * The daily challenge a player has started, only one being allowed per day
+ */
+class DailyChallengeAttempt {
+    /**
+     * @type {number}
+     */
+    #date;
+
+    /**
+     * @type {boolean}
+     */
+    #finished;
+
+    /**
+     * @param {number} date The UTC day as a yyyymmdd number
+     * @param {boolean} finished
+     */
+    constructor(date, finished = false) {
+        this.#date = date;
+        this.#finished = finished;
+    }
+
+    /**
+     * @param {string} json
+     * @returns {DailyChallengeAttempt}
+     */
+    static fromJson(json) {
+        const data = JSON.parse(json);
+        return new DailyChallengeAttempt(data.date, !!data.finished);
+    }
+
+    /**
+     * @returns {number}
+     */
+    getDate() {
+        return this.#date;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.#finished;
+    }
+
+    finish() {
+        this.#finished = true;
+    }
+
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return JSON.stringify({ date: this.#date, finished: this.#finished });
+    }
+}
+
+/**
+ * The result of a daily challenge as a text card that can be pasted anywhere
+ */
+class DailyChallengeSummary {
+    /**
+     * Grid squares from empty slots to the largest blocks, every square covering two powers of 2
+     */
+    static get GRID_SQUARES() {
+        return ['⬛', '⬜', '🟨', '🟧', '🟥', '🟪', '🟦'];
+    }
+
+    /**
+     * @type {DailyGameMode}
+     */
+    #mode;
+
+    /**
+     * @type {number}
+     */
+    #score;
+
+    /**
+     * @type {number}
+     */
+    #moveCount;
+
+    /**
+     * @type {Board}
+     */
+    #board;
+
+    /**
+     * @param {DailyGameMode} mode
+     * @param {number} score
+     * @param {number} moveCount
+     * @param {Board} board The final board
+     */
+    constructor(mode, score, moveCount, board) {
+        this.#mode = mode;
+        this.#score = score;
+        this.#moveCount = moveCount;
+        this.#board = board;
+    }
+
+    /**
+     * @returns {string}
+     */
+    toText() {
+        const lines = [
+            `2048 Daily ${this.#mode.getDateText()}`,
+            `🏆 ${this.#score} · 🔝 ${this.#board.getMaxValue()} · 👣 ${this.#moveCount}`,
+        ];
+        for (let i = 0; i < this.#board.getRowCount(); i++) {
+            let line = '';
+            for (let j = 0; j < this.#board.getColumnCount(); j++) {
+                line += this.#toSquare(this.#board.blockAt(i, j)?.getValue());
+            }
+            lines.push(line);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * @param {number|undefined} value
+     * @returns {string}
+     */
+    #toSquare(value) {
+        const squares = DailyChallengeSummary.GRID_SQUARES;
+        if (!value) {
+            return squares[0];
+        }
+        return squares[upperBoundValue(Math.ceil(Math.log2(value) / 2), squares.length - 1)];
+    }
+}
\ No newline at end of file
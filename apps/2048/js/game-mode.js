@@ -0,0 +1,582 @@
+const GameModeType = Object.freeze({
+    CLASSIC: 'classic',
+    TIME_ATTACK: 'time-attack',
+    SPRINT: 'sprint',
+    LIMITED_MOVES: 'limited-moves',
+    DAILY: 'daily',
+    PRACTICE: 'practice',
+});
+
+class GameModeProgress {
+    /**
+     * The play time so far, in milliseconds
+     * @type {number}
+     */
+    elapsed;
+
+    /**
+     * @type {number}
+     */
+    moveCount;
+
+    /**
+     * The largest block value on the board
+     * @type {number}
+     */
+    maxValue;
+}
+
+/**
+ * @interface
+ */
+class GameMode {
+    constructor() {
+        if(this.constructor === GameMode) {
+            throw new Error('Interface "GameMode" cannot be instantiated as it is an interface.');
+        }
+    }
+
+    /**
+     * @param {GameModeType[keyof typeof GameModeType]} type
+     * @param {number} parameter The time limit in minutes, the target value, the move limit or the date depending on the type
+     * @returns {GameMode}
+     */
+    static create(type, parameter) {
+        switch (type) {
+            case GameModeType.TIME_ATTACK:
+                return new TimeAttackGameMode(parameter);
+            case GameModeType.SPRINT:
+                return new SprintGameMode(parameter);
+            case GameModeType.LIMITED_MOVES:
+                return new LimitedMovesGameMode(parameter);
+            case GameModeType.DAILY:
+                return new DailyGameMode(parameter);
+            case GameModeType.PRACTICE:
+                return new PracticeGameMode();
+            default:
+                return new ClassicGameMode();
+        }
+    }
+
+    /**
+     * @returns {GameModeType[keyof typeof GameModeType]}
+     */
+    getType() {
+        throw new Error('Method "getType()" must be implemented.');
+    }
+
+    /**
+     * @returns {number|undefined}
+     */
+    getParameter() {
+        throw new Error('Method "getParameter()" must be implemented.');
+    }
+
+    /**
+     * @returns {string} Identify the mode and its parameter in the saved-state keys, empty for the classic mode
+     */
+    getKey() {
+        throw new Error('Method "getKey()" must be implemented.');
+    }
+
+    /**
+     * @returns {string}
+     */
+    getName() {
+        throw new Error('Method "getName()" must be implemented.');
+    }
+
+    /**
+     * @returns {number|undefined} The seed of the spawn sequence shared by every player, undefined for a random one
+     */
+    getSeed() {
+        throw new Error('Method "getSeed()" must be implemented.');
+    }
+
+    /**
+     * @param {GameModeProgress} progress
+     * @returns {boolean} Whether the game ends regardless of the moves left on the board
+     */
+    isOver(progress) {
+        throw new Error('Method "isOver()" must be implemented.');
+    }
+
+    /**
+     * @param {GameModeProgress} progress
+     * @returns {boolean} Whether the finished game deserves a place on the leaderboard
+     */
+    isCompleted(progress) {
+        throw new Error('Method "isCompleted()" must be implemented.');
+    }
+
+    /**
+     * @param {GameModeProgress} progress
+     * @returns {string} The timer or move counter shown next to the score, empty if there is none
+     */
+    getHudText(progress) {
+        throw new Error('Method "getHudText()" must be implemented.');
+    }
+
+    /**
+     * @param {GameModeProgress} progress
+     * @returns {string}
+     */
+    getEndMessage(progress) {
+        throw new Error('Method "getEndMessage()" must be implemented.');
+    }
+
+    /**
+     * @returns {(entry1: LeaderboardEntry, entry2: LeaderboardEntry) => number}
+     */
+    getLeaderboardComparator() {
+        throw new Error('Method "getLeaderboardComparator()" must be implemented.');
+    }
+}
+
+/**
+ * @implements {GameMode}
+ */
+class ClassicGameMode extends GameMode {
+    getType() {
+        return GameModeType.CLASSIC;
+    }
+
+    getParameter() {
+        return undefined;
+    }
+
+    getKey() {
+        return '';
+    }
+
+    getName() {
+        return 'Classic';
+    }
+
+    getSeed() {
+        return undefined;
+    }
+
+    isOver(progress) {
+        return false;
+    }
+
+    isCompleted(progress) {
+        return true;
+    }
+
+    getHudText(progress) {
+        return '';
+    }
+
+    getEndMessage(progress) {
+        return 'GAME OVER';
+    }
+
+    getLeaderboardComparator() {
+        return Leaderboard.compareByScore;
+    }
+}
+
+/**
+ * Score as much as possible before the time runs out
+ * @implements {GameMode}
+ */
+class TimeAttackGameMode extends GameMode {
+    /**
+     * @type {number}
+     */
+    #minutes;
+
+    /**
+     * @param {number} minutes
+     */
+    constructor(minutes) {
+        super();
+        this.#minutes = minutes;
+    }
+
+    static get MINUTE_OPTIONS() {
+        return [1, 3, 5, 10];
+    }
+
+    getType() {
+        return GameModeType.TIME_ATTACK;
+    }
+
+    getParameter() {
+        return this.#minutes;
+    }
+
+    getKey() {
+        return `${GameModeType.TIME_ATTACK}${this.#minutes}`;
+    }
+
+    getName() {
+        return `Time attack ${this.#minutes} min`;
+    }
+
+    getSeed() {
+        return undefined;
+    }
+
+    isOver(progress) {
+        return this.#getRemaining(progress) <= 0;
+    }
+
+    isCompleted(progress) {
+        return true;
+    }
+
+    getHudText(progress) {
+        return `⏱ ${formatDuration(Math.ceil(this.#getRemaining(progress) / 1000) * 1000)} left`;
+    }
+
+    getEndMessage(progress) {
+        return this.isOver(progress) ? "TIME'S UP" : 'GAME OVER';
+    }
+
+    getLeaderboardComparator() {
+        return Leaderboard.compareByScore;
+    }
+
+    /**
+     * @param {GameModeProgress} progress
+     * @returns {number}
+     */
+    #getRemaining(progress) {
+        return this.#minutes * 60 * 1000 - progress.elapsed;
+    }
+}
+
+/**
+ * Reach the target as fast as possible
+ * @implements {GameMode}
+ */
+class SprintGameMode extends GameMode {
+    /**
+     * @type {number}
+     */
+    #target;
+
+    /**
+     * @param {number} target
+     */
+    constructor(target) {
+        super();
+        this.#target = target;
+    }
+
+    getType() {
+        return GameModeType.SPRINT;
+    }
+
+    getParameter() {
+        return this.#target;
+    }
+
+    getKey() {
+        return `${GameModeType.SPRINT}${this.#target}`;
+    }
+
+    getName() {
+        return `Sprint to ${this.#target}`;
+    }
+
+    getSeed() {
+        return undefined;
+    }
+
+    isOver(progress) {
+        return progress.maxValue >= this.#target;
+    }
+
+    isCompleted(progress) {
+        return this.isOver(progress);
+    }
+
+    getHudText(progress) {
+        return `⏱ ${formatDuration(progress.elapsed)} → ${this.#target}`;
+    }
+
+    getEndMessage(progress) {
+        return this.isOver(progress) ? `${this.#target} IN ${formatDuration(progress.elapsed)}` : 'GAME OVER';
+    }
+
+    getLeaderboardComparator() {
+        return Leaderboard.compareByDuration;
+    }
+}
+
+/**
+ * Score as much as possible with a limited number of moves
+ * @implements {GameMode}
+ */
+class LimitedMovesGameMode extends GameMode {
+    /**
+     * @type {number}
+     */
+    #moveLimit;
+
+    /**
+     * @param {number} moveLimit
+     */
+    constructor(moveLimit) {
+        super();
+        this.#moveLimit = moveLimit;
+    }
+
+    static get MOVE_LIMIT_OPTIONS() {
+        return [50, 100, 200, 500];
+    }
+
+    getType() {
+        return GameModeType.LIMITED_MOVES;
+    }
+
+    getParameter() {
+        return this.#moveLimit;
+    }
+
+    getKey() {
+        return `${GameModeType.LIMITED_MOVES}${this.#moveLimit}`;
+    }
+
+    getName() {
+        return `${this.#moveLimit} moves`;
+    }
+
+    getSeed() {
+        return undefined;
+    }
+
+    isOver(progress) {
+        return progress.moveCount >= this.#moveLimit;
+    }
+
+    isCompleted(progress) {
+        return true;
+    }
+
+    getHudText(progress) {
+        const left = lowerBoundValue(this.#moveLimit - progress.moveCount, 0);
+        return `${left} ${left === 1 ? 'move' : 'moves'} left`;
+    }
+
+    getEndMessage(progress) {
+        return this.isOver(progress) ? 'OUT OF MOVES' : 'GAME OVER';
+    }
+
+    getLeaderboardComparator() {
+        return Leaderboard.compareByScore;
+    }
+}
+
+/**
+ * The same starting board and spawn sequence for every player on a given day
+ * @implements {GameMode}
+ */
+class DailyGameMode extends GameMode {
+    /**
+     * The UTC day as a yyyymmdd number
+     * @type {number}
+     */
+    #date;
+
+    /**
+     * @param {number} date The UTC day as a yyyymmdd number
+     */
+    constructor(date) {
+        super();
+        this.#date = date;
+    }
+
+    /**
+     * @param {Date} now
+     * @returns {DailyGameMode} The challenge of the current UTC day
+     */
+    static today(now = new Date()) {
+        return new DailyGameMode(now.getUTCFullYear() * 10000 + (now.getUTCMonth() + 1) * 100 + now.getUTCDate());
+    }
+
+    /**
+     * @returns {number}
+     */
+    getDate() {
+        return this.#date;
+    }
+
+    /**
+     * @returns {string} The date formatted as yyyy-mm-dd
+     */
+    getDateText() {
+        const text = String(this.#date);
+        return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6)}`;
+    }
+
+    getType() {
+        return GameModeType.DAILY;
+    }
+
+    getParameter() {
+        return this.#date;
+    }
+
+    getKey() {
+        return `${GameModeType.DAILY}${this.#date}`;
+    }
+
+    getName() {
+        return `Daily ${this.getDateText()}`;
+    }
+
+    getSeed() {
+        return this.#date;
+    }
+
+    isOver(progress) {
+        return false;
+    }
+
+    /**
+     * Daily results are shared rather than ranked
+     */
+    isCompleted(progress) {
+        return false;
+    }
+
+    getHudText(progress) {
+        return `Daily challenge ${this.getDateText()}`;
+    }
+
+    getEndMessage(progress) {
+        return 'GAME OVER';
+    }
+
+    getLeaderboardComparator() {
+        return Leaderboard.compareByScore;
+    }
+}
+
+/**
+ * Play on from a shared position, saved apart from the other games
+ * @implements {GameMode}
+ */
+class PracticeGameMode extends GameMode {
+    getType() {
+        return GameModeType.PRACTICE;
+    }
+
+    getParameter() {
+        return undefined;
+    }
+
+    getKey() {
+        return GameModeType.PRACTICE;
+    }
+
+    getName() {
+        return 'Practice';
+    }
+
+    getSeed() {
+        return undefined;
+    }
+
+    isOver(progress) {
+        return false;
+    }
+
+    /**
+     * Shared positions do not start from scratch so they are not ranked
+     */
+    isCompleted(progress) {
+        return false;
+    }
+
+    getHudText(progress) {
+        return 'Practice from a shared position';
+    }
+
+    getEndMessage(progress) {
+        return 'GAME OVER';
+    }
+
+    getLeaderboardComparator() {
+        return Leaderboard.compareByScore;
+    }
+}
+
+/**
+ * Measure the play time, which only runs while the game is being played
+ */
+class Stopwatch {
+    /**
+     * @type {number}
+     */
+    #elapsed = 0;
+
+    /**
+     * The time at which the stopwatch was last started, undefined while paused
+     * @type {number|undefined}
+     */
+    #startTime = undefined;
+
+    /**
+     * @type {() => number}
+     */
+    #clock;
+
+    /**
+     * @param {() => number} clock Return the current time in milliseconds
+     */
+    constructor(clock = Date.now) {
+        this.#clock = clock;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isRunning() {
+        return typeof this.#startTime !== 'undefined';
+    }
+
+    /**
+     * @returns {number} The elapsed time in milliseconds
+     */
+    getElapsed() {
+        return this.#elapsed + (this.isRunning() ? this.#clock() - this.#startTime : 0);
+    }
+
+    /**
+     * Pause the stopwatch and set its elapsed time
+     * @param {number} elapsed
+     * @returns {this}
+     */
+    reset(elapsed = 0) {
+        this.#elapsed = elapsed;
+        this.#startTime = undefined;
+        return this;
+    }
+
+    /**
+     * @returns {this}
+     */
+    start() {
+        if (!this.isRunning()) {
+            this.#startTime = this.#clock();
+        }
+        return this;
+    }
+
+    /**
+     * @returns {this}
+     */
+    pause() {
+        if (this.isRunning()) {
+            this.#elapsed = this.getElapsed();
+            this.#startTime = undefined;
+        }
+        return this;
+    }
+}
\ No newline at end of file
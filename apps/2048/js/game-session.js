@@ -0,0 +1,288 @@
+const GameSessionEventType = Object.freeze({
+    /**
+     * A move is over, its merges and its spawn included
+     */
+    MOVE: 'move',
+    /**
+     * Two blocks merged, before the move is over
+     */
+    MERGE: 'merge',
+    /**
+     * A block spawned after a move
+     */
+    SPAWN: 'spawn',
+    /**
+     * The score changed, once per move for all of its merges, or when the session was reset or restored
+     */
+    SCORE_CHANGE: 'scoreChange',
+    /**
+     * No block can move anymore, or the session was stopped
+     */
+    GAME_OVER: 'gameOver',
+    /**
+     * The session was cleared for a new game
+     */
+    RESET: 'reset',
+    /**
+     * The session was loaded from a save, a snapshot or a shared position
+     */
+    RESTORE: 'restore',
+});
+
+/**
+ * @typedef {object} GameSessionEventMap
+ * @property {{
+ *  direction: Direction[keyof typeof Direction],
+ *  moves: Map<Point, BlockMove>,
+ *  spawnedPoint: Point|undefined,
+ * }} move
+ * @property {{
+ *  result: BlockWithPoint,
+ *  from: BlockWithPoint,
+ *  to: BlockWithPoint,
+ *  direction: Direction[keyof typeof Direction]|undefined,
+ * }} merge
+ * @property {{point: Point, block: Block}} spawn
+ * @property {{
+ *  score: number,
+ *  previous: number,
+ *  direction: Direction[keyof typeof Direction]|undefined,
+ * }} scoreChange The direction of the move that changed the score, undefined when it was reset or restored
+ * @property {{score: number}} gameOver
+ * @property {{}} reset
+ * @property {{score: number}} restore
+ */
+
+/**
+ * The state of a game being played: its score, whether it is over and the blocks merged and spawned by the last move.
+ * Everything that follows the game subscribes to its events, so that several sessions can run side by side on one
+ * page. The events are published synchronously, animations are left to whoever plays the moves.
+ * @implements {OnBlockMergedListener}
+ */
+class GameSession extends OnBlockMergedListener {
+    /**
+     * @type {Game}
+     */
+    #game;
+
+    /**
+     * @type {() => boolean}
+     */
+    #isOver;
+
+    /**
+     * @type {number}
+     */
+    #score = 0;
+
+    /**
+     * @type {boolean}
+     */
+    #stopped = false;
+
+    /**
+     * @type {Set<Point>}
+     */
+    #mergedPoints = new Set();
+
+    /**
+     * @type {Point|undefined}
+     */
+    #spawnedPoint = undefined;
+
+    /**
+     * The direction of the move being played, undefined between moves
+     * @type {Direction[keyof typeof Direction]|undefined}
+     */
+    #movingDirection = undefined;
+
+    /**
+     * The points scored by the merges of the move being played
+     * @type {number}
+     */
+    #moveScore = 0;
+
+    /**
+     * @type {Map<GameSessionEventType[keyof typeof GameSessionEventType], ((event: object) => void)[]>}
+     */
+    #listeners = new Map();
+
+    /**
+     * @param {Game} game Publishes its merges to this session from now on
+     * @param {() => boolean} isOver Whether the game ends regardless of the moves left on the board
+     */
+    constructor(game, isOver = () => false) {
+        super();
+        this.#game = game;
+        this.#isOver = isOver;
+        game.setOnBlockMergedListener(this);
+    }
+
+    /**
+     * @template {keyof GameSessionEventMap} K
+     * @param {K} type
+     * @param {(event: GameSessionEventMap[K]) => void} listener
+     * @returns {this}
+     */
+    on(type, listener) {
+        const listeners = this.#listeners.get(type) ?? [];
+        listeners.push(listener);
+        this.#listeners.set(type, listeners);
+        return this;
+    }
+
+    /**
+     * @template {keyof GameSessionEventMap} K
+     * @param {K} type
+     * @param {(event: GameSessionEventMap[K]) => void} listener
+     * @returns {this}
+     */
+    off(type, listener) {
+        const listeners = this.#listeners.get(type);
+        const index = listeners?.indexOf(listener) ?? -1;
+        if (index >= 0) {
+            listeners.splice(index, 1);
+        }
+        return this;
+    }
+
+    /**
+     * @returns {Game}
+     */
+    getGame() {
+        return this.#game;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getScore() {
+        return this.#score;
+    }
+
+    /**
+     * @returns {boolean} Whether no move can be played anymore
+     */
+    isStopped() {
+        return this.#stopped;
+    }
+
+    /**
+     * @returns {Set<Point>} The points merged by the last move
+     */
+    getMergedPoints() {
+        return new Set(this.#mergedPoints);
+    }
+
+    /**
+     * @returns {Point|undefined} The point of the block spawned after the last move
+     */
+    getSpawnedPoint() {
+        return this.#spawnedPoint;
+    }
+
+    /**
+     * @param {BlockWithPoint} result
+     * @param {BlockWithPoint} from
+     * @param {BlockWithPoint} to
+     */
+    onBlockMerged(result, from, to) {
+        this.#mergedPoints.add(result.point);
+        this.#emit(GameSessionEventType.MERGE, { result, from, to, direction: this.#movingDirection });
+        this.#moveScore += result.block.getValue();
+    }
+
+    /**
+     * @param {Direction[keyof typeof Direction]} direction
+     * @param {() => Point|undefined} spawner Spawn the new block after the move
+     * @returns {Map<Point, BlockMove>} The moved blocks, empty if nothing moved and nothing changed
+     */
+    move(direction, spawner) {
+        this.#mergedPoints.clear();
+        this.#movingDirection = direction;
+        this.#moveScore = 0;
+        const moves = this.#game.moveBlocks(direction);
+        this.#movingDirection = undefined;
+        if (moves.size === 0) {
+            return moves;
+        }
+
+        this.#setScore(this.#score + this.#moveScore, direction);
+        this.#spawnedPoint = spawner();
+        if (this.#spawnedPoint) {
+            this.#emit(GameSessionEventType.SPAWN, {
+                point: this.#spawnedPoint,
+                block: this.#game.blockAt(this.#spawnedPoint),
+            });
+        }
+        this.refreshStopped();
+        this.#emit(GameSessionEventType.MOVE, { direction, moves, spawnedPoint: this.#spawnedPoint });
+        if (this.#stopped) {
+            this.#emit(GameSessionEventType.GAME_OVER, { score: this.#score });
+        }
+        return moves;
+    }
+
+    /**
+     * End the game whatever is left on the board, e.g. when the time runs out
+     */
+    stop() {
+        if (!this.#stopped) {
+            this.#stopped = true;
+            this.#emit(GameSessionEventType.GAME_OVER, { score: this.#score });
+        }
+    }
+
+    /**
+     * Look again whether any move is left, after the board changed outside of a move. No event is published.
+     */
+    refreshStopped() {
+        this.#stopped = this.#isOver()
+            || Object.values(Direction).every(direction => !this.#game.tryMoveBlocks(direction));
+    }
+
+    /**
+     * Forget the score and the highlights for a new game. The board itself is left to the caller.
+     */
+    reset() {
+        this.#stopped = false;
+        this.#mergedPoints.clear();
+        this.#spawnedPoint = undefined;
+        this.#setScore(0);
+        this.#emit(GameSessionEventType.RESET, {});
+    }
+
+    /**
+     * Take back the state of a game whose board has already been loaded
+     * @param {number} score
+     * @param {Iterable<Point>} mergedPoints
+     * @param {Point|undefined} spawnedPoint
+     */
+    restore(score, mergedPoints = [], spawnedPoint = undefined) {
+        this.#mergedPoints = new Set(mergedPoints);
+        this.#spawnedPoint = spawnedPoint;
+        this.refreshStopped();
+        this.#setScore(score);
+        this.#emit(GameSessionEventType.RESTORE, { score });
+    }
+
+    /**
+     * @param {number} score
+     * @param {Direction[keyof typeof Direction]|undefined} direction The move that scored, if any
+     */
+    #setScore(score, direction = undefined) {
+        const previous = this.#score;
+        this.#score = score;
+        if (previous !== score) {
+            this.#emit(GameSessionEventType.SCORE_CHANGE, { score, previous, direction });
+        }
+    }
+
+    /**
+     * @param {GameSessionEventType[keyof typeof GameSessionEventType]} type
+     * @param {object} event
+     */
+    #emit(type, event) {
+        this.#listeners.get(type)?.forEach(listener => listener(event));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,312 @@
+const STATS_STATE_KEY = 'stats';
+
+/**
+ * A game once it is over or abandoned
+ */
+class GameRecord {
+    /**
+     * @type {number}
+     */
+    #score;
+
+    /**
+     * @type {number}
+     */
+    #maxValue;
+
+    /**
+     * @type {number}
+     */
+    #moveCount;
+
+    /**
+     * @type {number}
+     */
+    #duration;
+
+    /**
+     * @type {boolean}
+     */
+    #won;
+
+    /**
+     * @param {number} score
+     * @param {number} maxValue The largest block value reached
+     * @param {number} moveCount
+     * @param {number} duration The duration of the game, in milliseconds
+     * @param {boolean} won Whether the target was reached
+     */
+    constructor(score, maxValue, moveCount, duration, won) {
+        this.#score = score;
+        this.#maxValue = maxValue;
+        this.#moveCount = moveCount;
+        this.#duration = duration;
+        this.#won = won;
+    }
+
+    /**
+     * @param {{score: number, maxValue: number, moves: number, duration: number, won: boolean}} data
+     * @returns {GameRecord}
+     */
+    static fromJson(data) {
+        return new GameRecord(data.score, data.maxValue, data.moves, data.duration, !!data.won);
+    }
+
+    /**
+     * @readonly
+     */
+    get score() {
+        return this.#score;
+    }
+
+    /**
+     * @readonly
+     */
+    get maxValue() {
+        return this.#maxValue;
+    }
+
+    /**
+     * @readonly
+     */
+    get moveCount() {
+        return this.#moveCount;
+    }
+
+    /**
+     * @readonly
+     */
+    get duration() {
+        return this.#duration;
+    }
+
+    /**
+     * @readonly
+     */
+    get won() {
+        return this.#won;
+    }
+
+    /**
+     * @returns {{score: number, maxValue: number, moves: number, duration: number, won: boolean}}
+     */
+    toJson() {
+        return {
+            score: this.#score,
+            maxValue: this.#maxValue,
+            moves: this.#moveCount,
+            duration: this.#duration,
+            won: this.#won,
+        };
+    }
+}
+
+/**
+ * Lifetime statistics over every game played on this browser
+ */
+class GameStats {
+    static get RECENT_GAME_CAPACITY() {
+        return 50;
+    }
+
+    /**
+     * @type {number}
+     */
+    #gameCount = 0;
+
+    /**
+     * @type {number}
+     */
+    #winCount = 0;
+
+    /**
+     * @type {number}
+     */
+    #totalScore = 0;
+
+    /**
+     * @type {number}
+     */
+    #bestScore = 0;
+
+    /**
+     * The moves of the recorded games
+     * @type {number}
+     */
+    #gameMoveCount = 0;
+
+    /**
+     * Every move played, including the ones of the game in progress
+     * @type {number}
+     */
+    #moveCount = 0;
+
+    /**
+     * @type {number}
+     */
+    #timePlayed = 0;
+
+    /**
+     * The number of games per largest block value reached
+     * @type {Map<number, number>}
+     */
+    #maxValueCounts = new Map();
+
+    /**
+     * The number of merges per resulting block value
+     * @type {Map<number, number>}
+     */
+    #mergeCounts = new Map();
+
+    /**
+     * The latest games, from the oldest to the newest
+     * @type {GameRecord[]}
+     */
+    #recentGames = [];
+
+    /**
+     * @param {string|null} json
+     * @returns {GameStats} Empty stats if there is nothing saved
+     */
+    static fromJson(json) {
+        const stats = new GameStats();
+        if (!json) {
+            return stats;
+        }
+
+        const data = JSON.parse(json);
+        stats.#gameCount = Number(data.games) || 0;
+        stats.#winCount = Number(data.wins) || 0;
+        stats.#totalScore = Number(data.totalScore) || 0;
+        stats.#bestScore = Number(data.bestScore) || 0;
+        stats.#gameMoveCount = Number(data.gameMoves) || 0;
+        stats.#moveCount = Number(data.moves) || 0;
+        stats.#timePlayed = Number(data.timePlayed) || 0;
+        stats.#maxValueCounts = GameStats.#countsFromJson(data.maxValues);
+        stats.#mergeCounts = GameStats.#countsFromJson(data.merges);
+        stats.#recentGames = (data.recentGames ?? []).map(GameRecord.fromJson);
+        return stats;
+    }
+
+    /**
+     * @param {Object<string, number>|undefined} data
+     * @returns {Map<number, number>}
+     */
+    static #countsFromJson(data) {
+        return new Map(Object.entries(data ?? {}).map(([value, count]) => [Number(value), Number(count) || 0]));
+    }
+
+    /**
+     * @param {number} value The value of the merged block
+     */
+    recordMerge(value) {
+        this.#mergeCounts.set(value, (this.#mergeCounts.get(value) ?? 0) + 1);
+    }
+
+    recordMove() {
+        this.#moveCount++;
+    }
+
+    /**
+     * @param {GameRecord} record
+     */
+    recordGame(record) {
+        this.#gameCount++;
+        this.#winCount += record.won ? 1 : 0;
+        this.#totalScore += record.score;
+        this.#bestScore = Math.max(this.#bestScore, record.score);
+        this.#gameMoveCount += record.moveCount;
+        this.#timePlayed += record.duration;
+        this.#maxValueCounts.set(record.maxValue, (this.#maxValueCounts.get(record.maxValue) ?? 0) + 1);
+        this.#recentGames.push(record);
+        this.#recentGames.splice(0, this.#recentGames.length - GameStats.RECENT_GAME_CAPACITY);
+    }
+
+    /**
+     * @returns {number}
+     */
+    getGameCount() {
+        return this.#gameCount;
+    }
+
+    /**
+     * @returns {number} The share of games won, from 0 to 1
+     */
+    getWinRate() {
+        return this.#gameCount ? this.#winCount / this.#gameCount : 0;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getAverageScore() {
+        return this.#gameCount ? this.#totalScore / this.#gameCount : 0;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getBestScore() {
+        return this.#bestScore;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getMovesPerGame() {
+        return this.#gameCount ? this.#gameMoveCount / this.#gameCount : 0;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getMoveCount() {
+        return this.#moveCount;
+    }
+
+    /**
+     * @returns {number} The duration of the recorded games, in milliseconds
+     */
+    getTimePlayed() {
+        return this.#timePlayed;
+    }
+
+    /**
+     * @returns {Map<number, number>} The number of games per largest block value reached, by ascending value
+     */
+    getMaxValueCounts() {
+        return new Map([...this.#maxValueCounts].sort(([value1], [value2]) => value1 - value2));
+    }
+
+    /**
+     * @returns {Map<number, number>} The number of merges per resulting block value, by ascending value
+     */
+    getMergeCounts() {
+        return new Map([...this.#mergeCounts].sort(([value1], [value2]) => value1 - value2));
+    }
+
+    /**
+     * @returns {GameRecord[]} The latest games, from the oldest to the newest
+     */
+    getRecentGames() {
+        return [...this.#recentGames];
+    }
+
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return JSON.stringify({
+            games: this.#gameCount,
+            wins: this.#winCount,
+            totalScore: this.#totalScore,
+            bestScore: this.#bestScore,
+            gameMoves: this.#gameMoveCount,
+            moves: this.#moveCount,
+            timePlayed: this.#timePlayed,
+            maxValues: Object.fromEntries(this.#maxValueCounts),
+            merges: Object.fromEntries(this.#mergeCounts),
+            recentGames: this.#recentGames.map(record => record.toJson()),
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * Read the connected gamepads once per animation frame and turn their d-pads, left sticks and buttons into actions.
+ * An action fires once when its input is pressed and again only after the input has been released.
+ */
+class GamepadPoller {
+    static get DEFAULT_DEADZONE() {
+        return 0.5;
+    }
+
+    /**
+     * Buttons of the standard gamepad mapping
+     */
+    static #BUTTON_ACTIONS = Object.freeze({
+        1: KeyAction.UNDO,
+        8: KeyAction.READ_BOARD,
+        9: KeyAction.RESTART,
+        12: KeyAction.UP,
+        13: KeyAction.DOWN,
+        14: KeyAction.LEFT,
+        15: KeyAction.RIGHT,
+    });
+
+    /**
+     * @type {(action: KeyAction[keyof typeof KeyAction]) => void}
+     */
+    #handler;
+
+    /**
+     * @type {number}
+     */
+    #deadzone;
+
+    /**
+     * @type {number|undefined}
+     */
+    #frameId = undefined;
+
+    /**
+     * The actions held on the previous frame, per gamepad index
+     * @type {Map<number, Set<KeyAction[keyof typeof KeyAction]>>}
+     */
+    #heldActions = new Map();
+
+    /**
+     * @param {(action: KeyAction[keyof typeof KeyAction]) => void} handler
+     * @param {number} deadzone How far the stick must be pushed, from 0 to 1, before it counts as a direction
+     */
+    constructor(handler, deadzone = GamepadPoller.DEFAULT_DEADZONE) {
+        this.#handler = handler;
+        this.setDeadzone(deadzone);
+    }
+
+    /**
+     * @returns {number}
+     */
+    getDeadzone() {
+        return this.#deadzone;
+    }
+
+    /**
+     * @param {number} deadzone
+     */
+    setDeadzone(deadzone) {
+        this.#deadzone = boundValue(deadzone, 0, 1);
+    }
+
+    /**
+     * Poll while at least one gamepad is connected
+     */
+    attach() {
+        if (!navigator.getGamepads) {
+            return;
+        }
+
+        window.addEventListener('gamepadconnected', () => this.#start());
+        window.addEventListener('gamepaddisconnected', (evt) => {
+            this.#heldActions.delete(evt.gamepad.index);
+            if (!this.#getGamepads().length) {
+                this.#stop();
+            }
+        });
+        if (this.#getGamepads().length) {
+            this.#start();
+        }
+    }
+
+    #start() {
+        if (typeof this.#frameId === 'undefined') {
+            this.#frameId = requestAnimationFrame(() => this.#poll());
+        }
+    }
+
+    #stop() {
+        cancelAnimationFrame(this.#frameId);
+        this.#frameId = undefined;
+    }
+
+    #poll() {
+        for (const gamepad of this.#getGamepads()) {
+            const actions = this.#readActions(gamepad);
+            const held = this.#heldActions.get(gamepad.index) ?? new Set();
+            actions.forEach(action => {
+                if (!held.has(action)) {
+                    this.#handler(action);
+                }
+            });
+            this.#heldActions.set(gamepad.index, actions);
+        }
+        this.#frameId = requestAnimationFrame(() => this.#poll());
+    }
+
+    /**
+     * @returns {Gamepad[]}
+     */
+    #getGamepads() {
+        return [...navigator.getGamepads()].filter(Boolean);
+    }
+
+    /**
+     * @param {Gamepad} gamepad
+     * @returns {Set<KeyAction[keyof typeof KeyAction]>}
+     */
+    #readActions(gamepad) {
+        /**
+         * @type {Set<KeyAction[keyof typeof KeyAction]>}
+         */
+        const actions = new Set();
+        for (const [index, action] of Object.entries(GamepadPoller.#BUTTON_ACTIONS)) {
+            if (gamepad.buttons[index]?.pressed) {
+                actions.add(action);
+            }
+        }
+
+        // Only the dominant axis of the stick counts so that diagonals do not move twice
+        const [x = 0, y = 0] = gamepad.axes;
+        if (Math.max(Math.abs(x), Math.abs(y)) > this.#deadzone) {
+            if (Math.abs(x) > Math.abs(y)) {
+                actions.add(x > 0 ? KeyAction.RIGHT : KeyAction.LEFT);
+            }
+            else {
+                actions.add(y > 0 ? KeyAction.DOWN : KeyAction.UP);
+            }
+        }
+        return actions;
+    }
+}
\ No newline at end of file
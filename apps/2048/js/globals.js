@@ -0,0 +1,8 @@
+/**
+ * The engine is an ES module so that it can be imported without a browser. The other scripts of the page are classic
+ * scripts sharing globals, so the module exports are exposed to them here.
+ */
+import * as engine from './2048.js';
+import * as random from './random.js';
+
+Object.assign(globalThis, random, engine);
\ No newline at end of file
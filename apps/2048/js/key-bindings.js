@@ -0,0 +1,197 @@
+const KeyAction = Object.freeze({
+    UP: 'up',
+    DOWN: 'down',
+    LEFT: 'left',
+    RIGHT: 'right',
+    UNDO: 'undo',
+    RESTART: 'restart',
+    READ_BOARD: 'read-board',
+});
+
+const KeyPreset = Object.freeze({
+    ARROWS: 'arrows',
+    WASD: 'wasd',
+    HJKL: 'hjkl',
+    CUSTOM: 'custom',
+});
+
+/**
+ * Map keyboard keys to actions. The arrow keys always move the blocks, whatever the preset, unless they are bound to
+ * another action.
+ */
+class KeyBindings {
+    static #PRESET_KEYS = Object.freeze({
+        [KeyPreset.ARROWS]: Object.freeze({
+            [KeyAction.UP]: 'ArrowUp',
+            [KeyAction.DOWN]: 'ArrowDown',
+            [KeyAction.LEFT]: 'ArrowLeft',
+            [KeyAction.RIGHT]: 'ArrowRight',
+            [KeyAction.UNDO]: 'z',
+            [KeyAction.RESTART]: 'r',
+            [KeyAction.READ_BOARD]: 'b',
+        }),
+        [KeyPreset.WASD]: Object.freeze({
+            [KeyAction.UP]: 'w',
+            [KeyAction.DOWN]: 's',
+            [KeyAction.LEFT]: 'a',
+            [KeyAction.RIGHT]: 'd',
+            [KeyAction.UNDO]: 'z',
+            [KeyAction.RESTART]: 'r',
+            [KeyAction.READ_BOARD]: 'b',
+        }),
+        [KeyPreset.HJKL]: Object.freeze({
+            [KeyAction.UP]: 'k',
+            [KeyAction.DOWN]: 'j',
+            [KeyAction.LEFT]: 'h',
+            [KeyAction.RIGHT]: 'l',
+            [KeyAction.UNDO]: 'u',
+            [KeyAction.RESTART]: 'r',
+            [KeyAction.READ_BOARD]: 'b',
+        }),
+    });
+
+    static #ARROW_ACTIONS = Object.freeze({
+        ArrowUp: KeyAction.UP,
+        ArrowDown: KeyAction.DOWN,
+        ArrowLeft: KeyAction.LEFT,
+        ArrowRight: KeyAction.RIGHT,
+    });
+
+    static #KEY_LABELS = Object.freeze({
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ' ': 'SPACE',
+    });
+
+    /**
+     * @type {KeyPreset[keyof typeof KeyPreset]}
+     */
+    #preset;
+
+    /**
+     * @type {Map<KeyAction[keyof typeof KeyAction], string>}
+     */
+    #keys;
+
+    /**
+     * @param {KeyPreset[keyof typeof KeyPreset]} preset
+     * @param {Map<KeyAction[keyof typeof KeyAction], string>} keys One key per action
+     */
+    constructor(preset, keys) {
+        this.#preset = preset;
+        this.#keys = new Map([...keys].map(([action, key]) => [action, KeyBindings.normalizeKey(key)]));
+    }
+
+    /**
+     * @param {KeyPreset[keyof typeof KeyPreset]} preset A preset other than the custom one
+     * @returns {KeyBindings}
+     */
+    static of(preset) {
+        const keys = KeyBindings.#PRESET_KEYS[preset];
+        return keys ? new KeyBindings(preset, new Map(Object.entries(keys))) : KeyBindings.of(KeyPreset.ARROWS);
+    }
+
+    /**
+     * @param {string} json
+     * @returns {KeyBindings}
+     */
+    static fromJson(json) {
+        const data = JSON.parse(json);
+        if (data.preset !== KeyPreset.CUSTOM) {
+            return KeyBindings.of(data.preset);
+        }
+
+        // Start from the default keys so that actions added later are bound too
+        const keys = new Map(Object.entries(KeyBindings.#PRESET_KEYS[KeyPreset.ARROWS]));
+        for (const action of Object.values(KeyAction)) {
+            if (typeof data.keys?.[action] === 'string') {
+                keys.set(action, data.keys[action]);
+            }
+        }
+        return new KeyBindings(KeyPreset.CUSTOM, keys);
+    }
+
+    /**
+     * Letters are matched whatever their case so that caps lock and shift do not get in the way
+     * @param {string} key The `key` of a keyboard event
+     * @returns {string}
+     */
+    static normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {string} How the key is shown to the player
+     */
+    static describeKey(key) {
+        return KeyBindings.#KEY_LABELS[key] ?? key.toUpperCase();
+    }
+
+    /**
+     * @returns {KeyPreset[keyof typeof KeyPreset]}
+     */
+    getPreset() {
+        return this.#preset;
+    }
+
+    /**
+     * @param {KeyAction[keyof typeof KeyAction]} action
+     * @returns {string|undefined}
+     */
+    getKey(action) {
+        return this.#keys.get(action);
+    }
+
+    /**
+     * @param {string} key The `key` of a keyboard event
+     * @returns {KeyAction[keyof typeof KeyAction]|undefined}
+     */
+    getAction(key) {
+        const normalized = KeyBindings.normalizeKey(key);
+        for (const [action, boundKey] of this.#keys) {
+            if (boundKey === normalized) {
+                return action;
+            }
+        }
+        return KeyBindings.#ARROW_ACTIONS[normalized];
+    }
+
+    /**
+     * Bind the key to the action, switching to the custom preset. The action previously bound to the key, if any,
+     * takes the former key of the action so that no action is left without a key.
+     * @param {KeyAction[keyof typeof KeyAction]} action
+     * @param {string} key
+     * @returns {KeyBindings} The new bindings, this instance is left untouched
+     */
+    withKey(action, key) {
+        const normalized = KeyBindings.normalizeKey(key);
+        const keys = new Map(this.#keys);
+        for (const [otherAction, boundKey] of keys) {
+            if (boundKey === normalized && otherAction !== action) {
+                keys.set(otherAction, keys.get(action));
+            }
+        }
+        keys.set(action, normalized);
+        return new KeyBindings(KeyPreset.CUSTOM, keys);
+    }
+
+    /**
+     * @returns {KeyBindings} The same keys under the custom preset, ready to be edited
+     */
+    asCustom() {
+        return new KeyBindings(KeyPreset.CUSTOM, this.#keys);
+    }
+
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return JSON.stringify({
+            preset: this.#preset,
+            keys: this.#preset === KeyPreset.CUSTOM ? Object.fromEntries(this.#keys) : undefined,
+        });
+    }
+}
\ No newline at end of file
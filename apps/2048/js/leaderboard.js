@@ -0,0 +1,217 @@
+class LeaderboardEntry {
+    /**
+     * @type {number}
+     */
+    #score;
+
+    /**
+     * @type {number}
+     */
+    #maxValue;
+
+    /**
+     * @type {number}
+     */
+    #moveCount;
+
+    /**
+     * @type {number}
+     */
+    #duration;
+
+    /**
+     * @type {number}
+     */
+    #date;
+
+    /**
+     * @param {number} score
+     * @param {number} maxValue The largest block value reached
+     * @param {number} moveCount
+     * @param {number} duration The duration of the game, in milliseconds
+     * @param {number} date The timestamp at which the game ended
+     */
+    constructor(score, maxValue, moveCount, duration, date = Date.now()) {
+        this.#score = score;
+        this.#maxValue = maxValue;
+        this.#moveCount = moveCount;
+        this.#duration = duration;
+        this.#date = date;
+    }
+
+    /**
+     * @param {{score: number, maxValue: number, moves: number, duration: number, date: number}} data
+     * @returns {LeaderboardEntry}
+     */
+    static fromJson(data) {
+        return new LeaderboardEntry(data.score, data.maxValue, data.moves, data.duration, data.date);
+    }
+
+    /**
+     * @readonly
+     */
+    get score() {
+        return this.#score;
+    }
+
+    /**
+     * @readonly
+     */
+    get maxValue() {
+        return this.#maxValue;
+    }
+
+    /**
+     * @readonly
+     */
+    get moveCount() {
+        return this.#moveCount;
+    }
+
+    /**
+     * @readonly
+     */
+    get duration() {
+        return this.#duration;
+    }
+
+    /**
+     * @readonly
+     */
+    get date() {
+        return this.#date;
+    }
+
+    /**
+     * @returns {{score: number, maxValue: number, moves: number, duration: number, date: number}}
+     */
+    toJson() {
+        return {
+            score: this.#score,
+            maxValue: this.#maxValue,
+            moves: this.#moveCount,
+            duration: this.#duration,
+            date: this.#date,
+        };
+    }
+}
+
+class Leaderboard {
+    /**
+     * @type {number}
+     */
+    #capacity;
+
+    /**
+     * @type {(entry1: LeaderboardEntry, entry2: LeaderboardEntry) => number}
+     */
+    #comparator;
+
+    /**
+     * Sorted from the best entry to the worst one
+     * @type {LeaderboardEntry[]}
+     */
+    #entries = [];
+
+    /**
+     * @param {number} capacity The number of entries kept
+     * @param {(entry1: LeaderboardEntry, entry2: LeaderboardEntry) => number} comparator Negative if the first entry
+     * ranks higher
+     */
+    constructor(capacity = Leaderboard.DEFAULT_CAPACITY, comparator = Leaderboard.compareByScore) {
+        this.#capacity = lowerBoundValue(capacity, 1);
+        this.#comparator = comparator;
+    }
+
+    static get DEFAULT_CAPACITY() {
+        return 10;
+    }
+
+    /**
+     * @param {string} json
+     * @param {number} capacity
+     * @param {(entry1: LeaderboardEntry, entry2: LeaderboardEntry) => number} comparator
+     * @returns {Leaderboard}
+     */
+    static fromJson(json, capacity = Leaderboard.DEFAULT_CAPACITY, comparator = Leaderboard.compareByScore) {
+        const instance = new Leaderboard(capacity, comparator);
+        for (const data of JSON.parse(json)) {
+            instance.submit(LeaderboardEntry.fromJson(data));
+        }
+        return instance;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getCapacity() {
+        return this.#capacity;
+    }
+
+    /**
+     * @returns {LeaderboardEntry[]}
+     */
+    getEntries() {
+        return [...this.#entries];
+    }
+
+    /**
+     * @returns {LeaderboardEntry|undefined}
+     */
+    getBest() {
+        return this.#entries[0];
+    }
+
+    /**
+     * @param {LeaderboardEntry} entry
+     * @returns {number} The rank of the entry starting from 0, or -1 if it did not make it to the leaderboard
+     */
+    submit(entry) {
+        let rank = this.#entries.findIndex(other => this.#comparator(entry, other) < 0);
+        if (rank < 0) {
+            rank = this.#entries.length;
+        }
+        if (rank >= this.#capacity) {
+            return -1;
+        }
+
+        this.#entries.splice(rank, 0, entry);
+        this.#entries.length = Math.min(this.#entries.length, this.#capacity);
+        return rank;
+    }
+
+    clear() {
+        this.#entries = [];
+    }
+
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return JSON.stringify(this.#entries.map(entry => entry.toJson()));
+    }
+
+    /**
+     * Higher scores come first, then larger blocks, then fewer moves. Ties keep the earlier entry first.
+     * @param {LeaderboardEntry} entry1
+     * @param {LeaderboardEntry} entry2
+     * @returns {number}
+     */
+    static compareByScore(entry1, entry2) {
+        return (entry2.score - entry1.score)
+            || (entry2.maxValue - entry1.maxValue)
+            || (entry1.moveCount - entry2.moveCount);
+    }
+
+    /**
+     * Shorter games come first, then fewer moves, then higher scores. Ties keep the earlier entry first.
+     * @param {LeaderboardEntry} entry1
+     * @param {LeaderboardEntry} entry2
+     * @returns {number}
+     */
+    static compareByDuration(entry1, entry2) {
+        return (entry1.duration - entry2.duration)
+            || (entry1.moveCount - entry2.moveCount)
+            || (entry2.score - entry1.score);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,97 @@
+const LiveMessageType = Object.freeze({
+    /**
+     * The whole board, sent when it changes without a move and whenever a spectator asks for it
+     */
+    SNAPSHOT: 'snapshot',
+    /**
+     * A move with the block spawned after it and the resulting board
+     */
+    MOVE: 'move',
+    /**
+     * Sent by spectators when they open to get the current board right away
+     */
+    SNAPSHOT_REQUEST: 'snapshot-request',
+    /**
+     * Sent by a tab taking a save over from the tab that was playing it
+     */
+    CLAIM: 'claim',
+});
+
+/**
+ * Messages between the tabs of the game, built on a BroadcastChannel. Every message carries the id of the tab that
+ * sent it. Nothing is sent nor received if the browser has no BroadcastChannel.
+ */
+class LiveChannel {
+    static get DEFAULT_NAME() {
+        return '2048-live';
+    }
+
+    /**
+     * @type {BroadcastChannel|undefined}
+     */
+    #channel;
+
+    /**
+     * @type {string}
+     */
+    #tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+    /**
+     * @type {Map<LiveMessageType[keyof typeof LiveMessageType], ((message: object) => void)[]>}
+     */
+    #listeners = new Map();
+
+    /**
+     * @param {string} name
+     */
+    constructor(name = LiveChannel.DEFAULT_NAME) {
+        if (typeof BroadcastChannel === 'undefined') {
+            return;
+        }
+
+        this.#channel = new BroadcastChannel(name);
+        this.#channel.addEventListener('message', evt => this.#dispatch(evt.data));
+    }
+
+    /**
+     * @returns {string}
+     */
+    getTabId() {
+        return this.#tabId;
+    }
+
+    /**
+     * @param {LiveMessageType[keyof typeof LiveMessageType]} type
+     * @param {object} data
+     */
+    post(type, data = {}) {
+        this.#channel?.postMessage({ ...data, type, tabId: this.#tabId });
+    }
+
+    /**
+     * @param {LiveMessageType[keyof typeof LiveMessageType]} type
+     * @param {(message: object) => void} listener Receive the messages of the other tabs
+     * @returns {this}
+     */
+    on(type, listener) {
+        const listeners = this.#listeners.get(type) ?? [];
+        listeners.push(listener);
+        this.#listeners.set(type, listeners);
+        return this;
+    }
+
+    close() {
+        this.#channel?.close();
+        this.#channel = undefined;
+    }
+
+    /**
+     * @param {object} message
+     */
+    #dispatch(message) {
+        if (!message || message.tabId === this.#tabId) {
+            return;
+        }
+        this.#listeners.get(message.type)?.forEach(listener => listener(message));
+    }
+}
\ No newline at end of file
@@ -1,47 +1,216 @@
 'use strict';
 
-const BOARD_ROW_COUNT = 4;
-const BOARD_COLUMN_COUNT = 4;
+const DEFAULT_BOARD_ROW_COUNT = 4;
+const DEFAULT_BOARD_COLUMN_COUNT = 4;
+const MIN_BOARD_SIZE = 3;
+const MAX_BOARD_SIZE = 8;
 const INITIAL_BLOCK_COUNT = 2;
-const SPAWNED_BLOCKS = [Block.of(2), Block.of(4)];
-const SPAWNED_WEIGHTS = [90, 10];
-
-const BOARD_STATE_KEY = 'board';
-const SCORE_STATE_KEY = 'score';
-const MERGEDS_STATE_KEY = 'mergeds';
-const SPAWNED_STATE_KEY = 'spawned';
-const AUDIO_STATE_KEY = 'audio';
-
-const START_SCORE_COLOR = '#000000';
-const START_SCORE_SHADOW_COLOR = '#FF9900';
-const END_SCORE_COLOR = "#FFD700";
-const END_SCORE_SHADOW_COLOR = "#F5493d";
+const HISTORY_CAPACITY = 100;
+const DEFAULT_SOLVER_DEPTH = 2;
+const DEFAULT_AUTOPLAY_DELAY = 300;
+const HINT_SEARCH_DEPTH = 2;
+const MODE_TIMER_INTERVAL = 250;
+const GAME_MODE_NAMES = Object.freeze({
+    [GameModeType.CLASSIC]: 'Classic',
+    [GameModeType.TIME_ATTACK]: 'Time attack',
+    [GameModeType.SPRINT]: 'Sprint to target',
+    [GameModeType.LIMITED_MOVES]: 'Limited moves',
+    [GameModeType.DAILY]: 'Daily challenge',
+    [GameModeType.PRACTICE]: 'Practice',
+});
+const DIRECTION_ARROWS = Object.freeze({
+    [Direction.UP]: '↑',
+    [Direction.DOWN]: '↓',
+    [Direction.LEFT]: '←',
+    [Direction.RIGHT]: '→',
+});
+
+const BEST_SCORE_STATE_KEY = 'best';
+const SIZE_STATE_KEY = 'size';
+const LEADERBOARD_STATE_KEY = 'leaderboard';
+const TARGET_STATE_KEY = 'target';
+const VARIANT_STATE_KEY = 'variant';
+const MODE_STATE_KEY = 'mode';
+const DAILY_STATE_KEY = 'daily';
+const PRACTICE_STATE_KEY = 'practice';
+const SHARED_POSITION_HASH_KEY = 'board';
+const SOLVER_STATE_KEY = 'solver';
+const CONTROLS_STATE_KEY = 'controls';
+const ACCESSIBILITY_STATE_KEY = 'accessibility';
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
 const END_SCORE_SHADOW_OFFSET = 1;
 const END_SCORE_SHADOW_BLUR = 3;
 const MAX_SCORE_THRESHOLD = 20000;
-const MAX_VALUE_STYLE = 1 << 17;
 
 const initialPopUpMessage = document.getElementById('initial-pop-up-message');
 const scoreElement = document.getElementById('score');
+const bestScoreElement = document.getElementById('best-score');
+const bestScoreContainer = document.getElementById('best-score-container');
 const gameBoardElement = document.getElementById('game-board');
 const gameOverModalBoxElement = document.getElementById('game-over-modal-box');
 const gameOverModelOverlay = document.getElementById('game-over-modal-overlay');
+const victoryModalBoxElement = document.getElementById('victory-modal-box');
+const victoryModalOverlay = document.getElementById('victory-modal-overlay');
+const victoryMessage = document.getElementById('victory-message');
+const targetSelect = document.getElementById('target-select');
+const variantSelect = document.getElementById('variant-select');
+const modeSelect = document.getElementById('mode-select');
+const modeParameterLabel = document.getElementById('mode-parameter-label');
+const modeParameterSelect = document.getElementById('mode-parameter-select');
+const modeHud = document.getElementById('mode-hud');
+const gameOverMessage = document.getElementById('game-over-message');
+const shareResultButton = document.getElementById('share-result-button');
+const resetButton = document.getElementById('reset-button');
+const victoryNewGameButton = document.getElementById('victory-new-game-button');
+const copyLinkButton = document.getElementById('copy-link-button');
+const conflictBanner = document.getElementById('conflict-banner');
+const keyPresetSelect = document.getElementById('key-preset-select');
+const keyBindingButtons = document.querySelectorAll('.key-binding-button');
+const deadzoneInput = document.getElementById('deadzone-input');
+const swipeDistanceSelect = document.getElementById('swipe-distance-select');
+const swipeDiagonalSelect = document.getElementById('swipe-diagonal-select');
+const mouseSwipeCheckbox = document.getElementById('mouse-swipe-checkbox');
+const animationSpeedSelect = document.getElementById('animation-speed-select');
+const boardAnnouncer = document.getElementById('board-announcer');
+const themeSelect = document.getElementById('theme-select');
+const customThemeEditor = document.getElementById('custom-theme-editor');
+const customThemeColors = document.getElementById('custom-theme-colors');
+const announceMovesCheckbox = document.getElementById('announce-moves-checkbox');
+const saveSlotSelect = document.getElementById('save-slot-select');
 const supportDirectionButtons = document.getElementById('support-direction-buttons');
 const muteButton = document.getElementById('mute-button');
 const volumeSlider = document.getElementById('volume-slider');
 const volumeTooltip = document.getElementById('volume-tooltip');
+const undoButton = document.getElementById('undo-button');
+const redoButton = document.getElementById('redo-button');
+const replayControls = document.getElementById('replay-controls');
+const replayProgress = document.getElementById('replay-progress');
+const replayPlayButton = document.getElementById('replay-play-button');
+const replayStepButton = document.getElementById('replay-step-button');
+const replaySpeedSelect = document.getElementById('replay-speed-select');
+const replayCopyButton = document.getElementById('replay-copy-button');
+const autoplayButton = document.getElementById('autoplay-button');
+const solverDepthSelect = document.getElementById('solver-depth-select');
+const autoplaySpeedSelect = document.getElementById('autoplay-speed-select');
+const monotonicityWeightInput = document.getElementById('monotonicity-weight-input');
+const emptyCellsWeightInput = document.getElementById('empty-cells-weight-input');
+const smoothnessWeightInput = document.getElementById('smoothness-weight-input');
+const hintArrow = document.getElementById('hint-arrow');
+const hintScores = document.getElementById('hint-scores');
+const newGameDialog = document.getElementById('new-game-dialog');
+const newGameDialogOverlay = document.getElementById('new-game-dialog-overlay');
+const rowCountSelect = document.getElementById('row-count-select');
+const columnCountSelect = document.getElementById('column-count-select');
+const leaderboardDialog = document.getElementById('leaderboard-dialog');
+const leaderboardDialogOverlay = document.getElementById('leaderboard-dialog-overlay');
+const leaderboardTitle = document.getElementById('leaderboard-dialog-title');
+const leaderboardBody = document.getElementById('leaderboard-body');
+const achievementDialog = document.getElementById('achievement-dialog');
+const achievementDialogOverlay = document.getElementById('achievement-dialog-overlay');
+const achievementList = document.getElementById('achievement-list');
+const achievementToasts = document.getElementById('achievement-toasts');
+
+/**
+ * @type {MergeVariant}
+ */
+let mergeVariant = MergeVariants.CLASSIC;
+let bestScore = 0;
+/**
+ * The record of the current game
+ * @type {Replay|undefined}
+ */
+let replay;
+/**
+ * The player of the replay being watched, if any. The saved game is left untouched while watching.
+ * @type {ReplayPlayer|undefined}
+ */
+let replayPlayer;
+/**
+ * @type {ExpectimaxSolver|undefined}
+ */
+let solver;
+/**
+ * A shallower solver used for hints
+ * @type {ExpectimaxSolver|undefined}
+ */
+let hintSolver;
+/**
+ * Incremented whenever autoplay stops, so that a pending autoplay loop knows it has been cancelled
+ */
+let autoplaySession = 0;
+let autoplaying = false;
+/**
+ * The finished games of the current board size
+ * @type {Leaderboard}
+ */
+let leaderboard = new Leaderboard();
+/**
+ * @type {GameMode}
+ */
+let gameMode = new ClassicGameMode();
+/**
+ * The play time of the current game, running from the first move until the game ends
+ */
+const stopwatch = new Stopwatch();
+/**
+ * @type {number|undefined}
+ */
+let modeTimerId = undefined;
+/**
+ * Whether the current game has already been submitted to the leaderboard
+ */
+let gameRecorded = false;
+/**
+ * Whether the player chose to keep playing after reaching the target
+ */
+let continued = false;
+/**
+ * Whether another tab has played the save of this tab since it was loaded here. The save is then left alone so that
+ * neither tab overwrites the progress of the other.
+ */
+let conflicted = false;
+/**
+ * Whether the game is to be saved once the current task is done
+ */
+let gameSaveRequested = false;
+/**
+ * The save slot played in this tab, other tabs may play other slots
+ */
+let saveSlot = SaveDocument.DEFAULT_SLOT;
 
-let score = 0;
-let stopped = false;
+const liveChannel = new LiveChannel();
 
 /**
- * @type {Set<Point>}
+ * @type {KeyBindings}
  */
-const mergedPoints = new Set();
+let keyBindings = KeyBindings.of(KeyPreset.ARROWS);
 /**
- * @type {Point|undefined}
+ * The action waiting for the player to press its new key
+ * @type {KeyAction[keyof typeof KeyAction]|undefined}
  */
-let spawnedPoint;
+let rebindingAction = undefined;
+const gamepadPoller = new GamepadPoller(action => performAction(action));
+
+/**
+ * @type {Theme}
+ */
+let theme = Themes.CLASSIC;
+/**
+ * The theme built by the player, kept while another theme is chosen
+ * @type {Theme|undefined}
+ */
+let customTheme = undefined;
+
+/**
+ * @type {SwipeSettings}
+ */
+let swipeSettings = new SwipeSettings();
+/**
+ * @type {{off: () => void}|undefined}
+ */
+let swipeListener = undefined;
+const moveQueue = new MoveQueue();
 
 const createBgm = (sources) => new AudioPlayer()
     .setSources((sources ?? []).map(src => `audio/background/${src}`))
@@ -58,19 +227,75 @@ const createSfx = (sources) => new AudioPlayer()
 const backgroundMusic = createBgm(AudioSources.background);
 const gameOverSfx = createSfx(AudioSources.gameOver);
 
+const targetDetector = new TargetValueDetector();
+
+const achievementEngine = new AchievementEngine();
+
 const game = (() => {
-    const board = new Board(BOARD_ROW_COUNT, BOARD_COLUMN_COUNT);
+    const board = new Board(DEFAULT_BOARD_ROW_COUNT, DEFAULT_BOARD_COLUMN_COUNT);
     const strategyFactory = new CachingBoardTraversalStrategyFactory();
     const merger = new IdenticalBlockMerger();
     const operation = new GameBoardOperation(merger);
-    const game = new Game(board, strategyFactory, operation);
-    game.setOnBlockMergedListener({
-        onBlockMerged: (result) => {
-            score += result.block.getValue();
-            mergedPoints.add(result.point);
-        }
-    });
-    return game;
+    const history = new GameHistory(HISTORY_CAPACITY);
+    const rng = new SeededRandomNumberGenerator();
+    return new Game(board, strategyFactory, operation, history, rng);
+})();
+
+/**
+ * The score and the state of the current game. The target, the stats, the achievements, the sound effects and the
+ * other tabs follow it through its events, the board animations are awaited by whoever plays the moves. Replays only
+ * drive the board and the target, not the stats nor the achievements.
+ */
+const session = (() => {
+    const session = new GameSession(game, () => !replayPlayer && gameMode.isOver(getModeProgress()));
+    /**
+     * The values merged by the move being played, saved to the stats along with the move
+     * @type {number[]}
+     */
+    const mergedValues = [];
+    session
+        .on(GameSessionEventType.MERGE, ({ result, from, to, direction }) => {
+            targetDetector.onBlockMerged(result, from, to);
+            if (!replayPlayer) {
+                mergedValues.push(result.block.getValue());
+                dispatchAchievementEvent(AchievementEventType.MERGE, direction, result.block.getValue());
+            }
+        })
+        .on(GameSessionEventType.SPAWN, ({ block }) => {
+            if (!replayPlayer) {
+                dispatchAchievementEvent(AchievementEventType.SPAWN, undefined, block.getValue());
+            }
+        })
+        .on(GameSessionEventType.MOVE, ({ direction, spawnedPoint }) => {
+            broadcastMove(direction);
+            if (!replayPlayer) {
+                const spawnedBlock = spawnedPoint ? game.blockAt(spawnedPoint) : undefined;
+                replay.record(ReplayStep.move(direction, spawnedPoint, spawnedBlock));
+                updateStats(stats => {
+                    mergedValues.forEach(value => stats.recordMerge(value));
+                    stats.recordMove();
+                });
+                dispatchAchievementEvent(AchievementEventType.MOVE, direction);
+                saveAchievementStates();
+            }
+            mergedValues.length = 0;
+            requestGameSave();
+        })
+        .on(GameSessionEventType.SCORE_CHANGE, ({ direction }) => renderScore(typeof direction !== 'undefined'))
+        .on(GameSessionEventType.GAME_OVER, () => {
+            gameOverSfx.play();
+            if (!replayPlayer) {
+                dispatchAchievementEvent(AchievementEventType.GAME_OVER);
+                saveAchievementStates();
+            }
+            requestGameSave();
+        })
+        .on(GameSessionEventType.RESET, () => {
+            dispatchAchievementEvent(AchievementEventType.RESET);
+            requestGameSave();
+        })
+        .on(GameSessionEventType.RESTORE, () => requestGameSave());
+    return session;
 })();
 
 const cellManager = (() => {
@@ -79,10 +304,13 @@ const cellManager = (() => {
         gameBoardElement,
         (creator) => new DomRecycler(creator)
     );
-    manager.setStyler((cell, value) => addValueStyle(cell, value));
+    manager.setStyler((cell, block) => addBlockStyle(cell, block));
+    manager.setLabeler(block => BoardReader.describeBlock(block));
     return manager;
 })();
 
+const boardRenderer = new BoardRenderer(game, cellManager);
+
 const scoreIncreaseRecycler = (() => {
     const recycler = new DomRecycler(() => document.createElement('span'));
     recycler
@@ -96,8 +324,25 @@ const scoreIncreaseRecycler = (() => {
     return recycler;
 })();
 
+const achievementToastRecycler = (() => {
+    const recycler = new DomRecycler(() => document.createElement('div'));
+    recycler
+        .addEventListener('created', (evt) => {
+            const element = evt.target;
+            achievementToasts.append(element);
+            element.classList.add('achievement-toast');
+        })
+        .addEventListener('removed', evt => evt.target.className = '')
+        .addEventListener('restored', evt => evt.target.classList.add('achievement-toast'));
+    return recycler;
+})();
+
 const renderingSignaler = (() => {
     let rendering = 0;
+    /**
+     * @type {(() => void)[]}
+     */
+    const idleListeners = [];
     return {
         start: () => {
             rendering++;
@@ -105,44 +350,262 @@ const renderingSignaler = (() => {
 
         finish: () => {
             rendering = Math.max(rendering - 1, 0);
+            if (rendering === 0) {
+                // Let the code that finished rendering run to its end first
+                queueMicrotask(() => idleListeners.forEach(listener => listener()));
+            }
         },
 
         isRendering: () => {
             return rendering !== 0;
+        },
+
+        /**
+         * @param {() => void} listener Notified whenever nothing is rendering anymore
+         */
+        addIdleListener: (listener) => {
+            idleListeners.push(listener);
         }
     }
 })();
 
+/**
+ * @param {string} key
+ * @param {*} state Undefined to delete the state
+ */
 const setState = (key, state) => {
-    if (typeof state === 'undefined' || (Array.isArray(state) && state.length === 0)) {
-        localStorage.removeItem(key);
-        return;
+    updateSaveDocument(saveDocument => saveDocument.setState(key, state));
+}
+
+/**
+ * @param {string} key
+ * @returns {*} Undefined if the state has never been saved
+ */
+const getState = (key) => {
+    return loadSaveDocument().getState(key);
+}
+
+/**
+ * The stats are read and written back on every update so that resetting them from the stats page, possibly opened in
+ * another tab, is not undone by this tab
+ * @param {(stats: GameStats) => void} update
+ */
+const updateStats = (update) => {
+    updateSaveDocument((saveDocument) => {
+        const savedStats = saveDocument.getState(STATS_STATE_KEY);
+        const stats = GameStats.fromJson(savedStats ? JSON.stringify(savedStats) : null);
+        update(stats);
+        saveDocument.setState(STATS_STATE_KEY, JSON.parse(stats.toJson()));
+    });
+}
+
+/**
+ * Count the current game, finished or abandoned, in the lifetime stats
+ */
+const recordGameStats = () => {
+    const maxValue = game.getBoard().getMaxValue();
+    const won = targetDetector.isReached();
+    const record = new GameRecord(session.getScore(), maxValue, countMoves(), stopwatch.getElapsed(), won);
+    updateStats(stats => stats.recordGame(record));
+}
+
+/**
+ * Games are saved separately for every board size, merge variant and game mode. The default size, the classic variant
+ * and the classic mode have no key of their own, as they were saved before they were configurable.
+ * @returns {string}
+ */
+const gameConfigKey = () => {
+    const board = game.getBoard();
+    const rowCount = board.getRowCount();
+    const columnCount = board.getColumnCount();
+    const parts = [];
+    if (rowCount !== DEFAULT_BOARD_ROW_COUNT || columnCount !== DEFAULT_BOARD_COLUMN_COUNT) {
+        parts.push(`${rowCount}x${columnCount}`);
+    }
+    if (mergeVariant !== MergeVariants.CLASSIC) {
+        parts.push(mergeVariant.getId());
     }
+    if (gameMode.getKey()) {
+        parts.push(gameMode.getKey());
+    }
+    return parts.join('-');
+}
 
-    if (typeof state !== 'string') {
-        state = JSON.stringify(state);
+/**
+ * @param {string} key Of a record kept per configuration, such as the leaderboard
+ * @param {*} state Undefined to delete the record
+ */
+const setGameState = (key, state) => {
+    if (!conflicted) {
+        updateSaveDocument(saveDocument => saveDocument.setRecord(gameConfigKey(), key, state));
     }
-    localStorage.setItem(key, state);
 }
 
-const getState = (key) => {
-    return localStorage.getItem(key);
+/**
+ * @param {string} key Of a record kept per configuration, such as the leaderboard
+ * @returns {*} Undefined if the record has never been saved
+ */
+const getGameState = (key) => {
+    return loadSaveDocument().getRecord(gameConfigKey(), key);
+}
+
+/**
+ * @returns {SaveDocument}
+ */
+const loadSaveDocument = () => {
+    return SaveDocument.load(localStorage);
+}
+
+/**
+ * The save document is read and written back on every update so that the games of other configurations and slots,
+ * possibly played in other tabs, are kept
+ * @param {(saveDocument: SaveDocument) => void} update
+ */
+const updateSaveDocument = (update) => {
+    SaveDocument.update(localStorage, update);
+}
+
+/**
+ * Move the separate keys games and settings were saved in before the save document held them into it
+ */
+const migrateSaveStates = () => {
+    SaveDocument.migrate(localStorage);
+}
+
+/**
+ * Daily challenges are shared by every slot, as each one can only be played once whatever the slot
+ * @returns {string|undefined} The slot the current game is saved in, undefined for the shared games
+ */
+const gameSaveSlot = () => {
+    return isDailyChallenge() ? undefined : saveSlot;
+}
+
+/**
+ * @returns {GameSave|undefined} The save of the current configuration in the slot of this tab
+ */
+const getGameSave = () => {
+    return loadSaveDocument().getGame(gameSaveSlot(), gameConfigKey());
+}
+
+/**
+ * @param {GameSave|undefined} save Undefined to delete the save
+ */
+const setGameSave = (save) => {
+    if (!conflicted) {
+        updateSaveDocument(saveDocument => saveDocument.setGame(gameSaveSlot(), gameConfigKey(), save));
+    }
 }
 
 const saveGameStates = () => {
-    setState(SCORE_STATE_KEY, score);
-    setState(BOARD_STATE_KEY, game.getBoard().toJson());
-    setState(MERGEDS_STATE_KEY, applyOnMergePoints(point => point.toString()));
-    setState(SPAWNED_STATE_KEY, spawnedPoint?.toString());
+    const save = new GameSave();
+    save.score = session.getScore();
+    save.board = JSON.parse(game.getBoard().toJson());
+    save.mergeds = applyOnMergePoints(point => point.toString());
+    save.spawned = session.getSpawnedPoint()?.toString();
+    save.history = JSON.parse(game.getHistory().toJson());
+    save.rng = game.getRandomNumberGenerator().getState();
+    save.replay = replay ? JSON.parse(replay.toJson()) : undefined;
+    save.elapsed = stopwatch.getElapsed();
+    save.recorded = gameRecorded;
+    save.won = targetDetector.isReached();
+    save.continued = continued;
+    save.achievements = JSON.parse(achievementEngine.gameToJson());
+    setGameSave(save);
+}
+
+/**
+ * Save the game once the current task is done, so that the states changed along with a session event are saved with
+ * it. A replay being watched is never saved as it holds no progress of its own.
+ */
+const requestGameSave = () => {
+    if (gameSaveRequested) {
+        return;
+    }
+
+    gameSaveRequested = true;
+    queueMicrotask(() => {
+        gameSaveRequested = false;
+        if (!replayPlayer) {
+            saveGameStates();
+        }
+    });
+}
+
+/**
+ * Keep the play time of the saved game up to date between moves
+ */
+const saveElapsedStates = () => {
+    if (!conflicted) {
+        updateSaveDocument((saveDocument) => {
+            const save = saveDocument.getGame(gameSaveSlot(), gameConfigKey());
+            if (save) {
+                save.elapsed = stopwatch.getElapsed();
+            }
+        });
+    }
 }
 
 const deleteGameStates = () => {
-    const gameStateKeys = [SCORE_STATE_KEY, BOARD_STATE_KEY, MERGEDS_STATE_KEY, SPAWNED_STATE_KEY];
-    gameStateKeys.forEach(key => setState(key, undefined));
+    setGameSave(undefined);
+}
+
+const saveSizeStates = () => {
+    const board = game.getBoard();
+    setState(SIZE_STATE_KEY, { rowCount: board.getRowCount(), columnCount: board.getColumnCount() });
+}
+
+const saveTargetStates = () => {
+    setState(TARGET_STATE_KEY, { ...getSavedTargets(), [mergeVariant.getId()]: targetDetector.getTarget() });
+}
+
+const saveVariantStates = () => {
+    setState(VARIANT_STATE_KEY, mergeVariant.getId());
+}
+
+const saveModeStates = () => {
+    setState(MODE_STATE_KEY, { type: gameMode.getType(), parameter: gameMode.getParameter() });
+}
+
+/**
+ * @param {DailyChallengeAttempt} attempt
+ */
+const saveDailyStates = (attempt) => {
+    setState(DAILY_STATE_KEY, JSON.parse(attempt.toJson()));
 }
 
 const saveAudioStates = () => {
-    setState(AUDIO_STATE_KEY, {volume: backgroundMusic.getVolume(), muted: backgroundMusic.isMuted()});
+    updateSaveDocument(saveDocument => saveDocument.setAudio({
+        volume: backgroundMusic.getVolume(),
+        muted: backgroundMusic.isMuted(),
+    }));
+}
+
+const saveSolverStates = () => {
+    setState(SOLVER_STATE_KEY, {
+        depth: solver.getDepth(),
+        delay: Number(autoplaySpeedSelect.value),
+        weights: solver.getEvaluator().getWeights(),
+    });
+}
+
+const saveAchievementStates = () => {
+    setState(ACHIEVEMENTS_STATE_KEY, JSON.parse(achievementEngine.progressToJson()));
+}
+
+const saveAccessibilityStates = () => {
+    setState(ACCESSIBILITY_STATE_KEY, { announceMoves: announceMovesCheckbox.checked });
+}
+
+const saveThemeStates = () => {
+    setState(THEME_STATE_KEY, { id: theme.getId(), custom: customTheme?.getPalette() });
+}
+
+const saveControlsStates = () => {
+    setState(CONTROLS_STATE_KEY, {
+        bindings: keyBindings.toJson(),
+        deadzone: gamepadPoller.getDeadzone(),
+        swipe: swipeSettings,
+    });
 }
 
 /**
@@ -152,55 +615,192 @@ const saveAudioStates = () => {
  */
 const applyOnMergePoints = (fn) => {
     const result = [];
-    for (const point of mergedPoints.values()){
+    for (const point of session.getMergedPoints()){
         result.push(fn(point));
     }
     return result;
 }
 
-const restoreGameStates = () => {
-    score = Number(getState(SCORE_STATE_KEY) ?? '0');
-
-    const savedBoardState = getState(BOARD_STATE_KEY);
-    if (savedBoardState) {
-        const savedBoard = Board.fromJson(savedBoardState);
-        const board = game.getBoard();
-        for (let i = 0; i < board.getRowCount(); i++) {
-            for (let j = 0; j < board.getColumnCount(); j++) {
-                const block = savedBoard.blockAt(i, j);
-                board.setBlockAt(i, j, block);
-            }
-        }
+/**
+ * @param {GameSave} save
+ */
+const restoreGameStates = (save) => {
+    const board = Board.fromJson(JSON.stringify(save.board));
+    const currentBoard = game.getBoard();
+    if (board.getRowCount() !== currentBoard.getRowCount()
+        || board.getColumnCount() !== currentBoard.getColumnCount()) {
+        throw new Error(`The saved board is ${board.getRowCount()}x${board.getColumnCount()}.`);
     }
+    game.loadBoard(board);
 
-    const savedMergedsState = getState(MERGEDS_STATE_KEY);
-    if (savedMergedsState) {
-        const savedMergeds = JSON.parse(savedMergedsState);
-        for (const str of savedMergeds) {
-            mergedPoints.add(Point.parse(str));
-        }
-    }
+    const mergedPoints = save.mergeds.map(str => Point.parse(str));
+    const spawnedPoint = save.spawned ? Point.parse(save.spawned) : undefined;
+    session.restore(save.score, mergedPoints, spawnedPoint);
 
-    const savedSpawnedState = getState(SPAWNED_STATE_KEY);
-    if (savedSpawnedState) {
-        spawnedPoint = Point.parse(savedSpawnedState);
+    if (typeof save.rng !== 'undefined') {
+        game.getRandomNumberGenerator().setState(save.rng);
     }
+
+    game.setHistory(save.history
+        ? GameHistory.fromJson(JSON.stringify(save.history), HISTORY_CAPACITY)
+        : new GameHistory(HISTORY_CAPACITY));
+
+    // Games saved before replays were recorded are replayed from their current board
+    replay = save.replay
+        ? Replay.fromJson(JSON.stringify(save.replay))
+        : new Replay(game.getBoard(), mergeVariant.getId());
+
+    stopwatch.reset(save.elapsed);
+    gameRecorded = save.recorded;
+    targetDetector.setReached(save.won);
+    continued = save.continued;
+    achievementEngine.loadGame(save.achievements ? JSON.stringify(save.achievements) : null);
+}
+
+const restoreLeaderboardStates = () => {
+    const savedLeaderboardState = getGameState(LEADERBOARD_STATE_KEY);
+    const comparator = gameMode.getLeaderboardComparator();
+    leaderboard = savedLeaderboardState
+        ? Leaderboard.fromJson(JSON.stringify(savedLeaderboardState), Leaderboard.DEFAULT_CAPACITY, comparator)
+        : new Leaderboard(Leaderboard.DEFAULT_CAPACITY, comparator);
+    bestScore = Math.max(getGameState(BEST_SCORE_STATE_KEY) ?? 0, leaderboard.getBest()?.score ?? 0);
 }
 
 const restoreAudioStates = () => {
-    const savedAudioState = getState(AUDIO_STATE_KEY);
-    if (!savedAudioState) {
+    const audioState = loadSaveDocument().getAudio();
+    if (!audioState) {
         return;
     }
 
-    const audioState = JSON.parse(savedAudioState);
     backgroundMusic.setVolume(audioState.volume);
     backgroundMusic.setMuted(audioState.muted);
 }
 
-const hasGameSavedStates = () => {
-    const importantKeys = [BOARD_STATE_KEY];
-    return importantKeys.every(key => getState(key) !== null);
+const restoreSolverStates = () => {
+    const solverState = getState(SOLVER_STATE_KEY)
+        ?? { depth: DEFAULT_SOLVER_DEPTH, delay: DEFAULT_AUTOPLAY_DELAY, weights: new HeuristicWeights() };
+
+    solverDepthSelect.value = solverState.depth;
+    autoplaySpeedSelect.value = solverState.delay;
+    monotonicityWeightInput.value = solverState.weights.monotonicity;
+    emptyCellsWeightInput.value = solverState.weights.emptyCells;
+    smoothnessWeightInput.value = solverState.weights.smoothness;
+}
+
+const restoreSlotStates = () => {
+    saveSlot = loadSaveDocument().getCurrentSlot();
+}
+
+const restoreAchievementStates = () => {
+    const savedAchievementState = getState(ACHIEVEMENTS_STATE_KEY);
+    achievementEngine.loadProgress(savedAchievementState ? JSON.stringify(savedAchievementState) : null);
+}
+
+const restoreAccessibilityStates = () => {
+    const accessibilityState = getState(ACCESSIBILITY_STATE_KEY) ?? {};
+    announceMovesCheckbox.checked = accessibilityState.announceMoves !== false;
+}
+
+const restoreThemeStates = () => {
+    ({ theme, custom: customTheme } = restoreTheme());
+    if (!getState(THEME_STATE_KEY)) {
+        // High contrast used to be a setting of its own before it became a theme
+        if (getState(ACCESSIBILITY_STATE_KEY)?.highContrast) {
+            theme = Themes.HIGH_CONTRAST;
+            saveThemeStates();
+        }
+        else if (window.matchMedia?.('(prefers-contrast: more)').matches) {
+            theme = Themes.HIGH_CONTRAST;
+        }
+    }
+
+    themeSelect.value = theme.getId();
+    renderCustomThemeEditor();
+    theme.apply();
+}
+
+const restoreControlsStates = () => {
+    const controlsState = getState(CONTROLS_STATE_KEY);
+    if (controlsState) {
+        keyBindings = KeyBindings.fromJson(controlsState.bindings);
+        gamepadPoller.setDeadzone(Number(controlsState.deadzone ?? GamepadPoller.DEFAULT_DEADZONE));
+        swipeSettings = SwipeSettings.fromJson(controlsState.swipe);
+    }
+
+    animationSpeedSelect.value = getSavedAnimationSpeed() ?? 'auto';
+    swipeDistanceSelect.value = swipeSettings.distance;
+    swipeDiagonalSelect.value = swipeSettings.diagonalTolerance;
+    mouseSwipeCheckbox.checked = swipeSettings.mouse;
+}
+
+/**
+ * @returns {Record<string, number>} The chosen target of every merge variant
+ */
+const getSavedTargets = () => {
+    const savedTargets = getState(TARGET_STATE_KEY) ?? {};
+    // A single target was saved before merge variants were introduced
+    return typeof savedTargets === 'number' ? { [MergeVariants.CLASSIC.getId()]: savedTargets } : savedTargets;
+}
+
+/**
+ * @param {MergeVariant} variant
+ * @returns {number}
+ */
+const restoreTarget = (variant) => {
+    const savedTarget = getSavedTargets()[variant.getId()];
+    return variant.getTargets().includes(savedTarget) ? savedTarget : variant.getDefaultTarget();
+}
+
+/**
+ * @returns {GameMode}
+ */
+const restoreModeStates = () => {
+    const modeState = getState(MODE_STATE_KEY);
+    if (!modeState) {
+        return new ClassicGameMode();
+    }
+
+    const mode = GameMode.create(modeState.type, modeState.parameter);
+    // Modes taking a parameter need a positive one
+    return (mode.getParameter() ?? 1) > 0 ? mode : new ClassicGameMode();
+}
+
+/**
+ * @returns {SharedPosition|undefined} The position the practice game starts from
+ */
+const restorePracticeStates = () => {
+    const savedPracticeState = getState(PRACTICE_STATE_KEY);
+    return savedPracticeState ? SharedPosition.decode(savedPracticeState) : undefined;
+}
+
+/**
+ * @returns {DailyChallengeAttempt|undefined} The last daily challenge started
+ */
+const restoreDailyStates = () => {
+    const savedDailyState = getState(DAILY_STATE_KEY);
+    return savedDailyState ? DailyChallengeAttempt.fromJson(JSON.stringify(savedDailyState)) : undefined;
+}
+
+/**
+ * @returns {MergeVariant}
+ */
+const restoreVariantStates = () => {
+    return MergeVariant.byId(getState(VARIANT_STATE_KEY)) ?? MergeVariants.CLASSIC;
+}
+
+/**
+ * @returns {{rowCount: number, columnCount: number}}
+ */
+const restoreSizeStates = () => {
+    const sizeState = getState(SIZE_STATE_KEY);
+    if (!sizeState) {
+        return { rowCount: DEFAULT_BOARD_ROW_COUNT, columnCount: DEFAULT_BOARD_COLUMN_COUNT };
+    }
+
+    return {
+        rowCount: boundValue(sizeState.rowCount, MIN_BOARD_SIZE, MAX_BOARD_SIZE),
+        columnCount: boundValue(sizeState.columnCount, MIN_BOARD_SIZE, MAX_BOARD_SIZE),
+    };
 }
 
 /**
@@ -210,18 +810,44 @@ const hasGameSavedStates = () => {
  */
 const renderScore = async (showIncrease = true) => {
     const oldScore = parseInt(scoreElement.innerText);
+    const score = session.getScore();
     if (oldScore === score) {
         return;
     }
 
     scoreElement.innerText = score;
     adjustScoreColor();
+    renderBestScore();
 
     if (showIncrease) {
         await showScoreIncrease(score - oldScore);
     }
 }
 
+const renderBestScore = () => {
+    const score = session.getScore();
+    if (score > bestScore) {
+        bestScore = score;
+        setGameState(BEST_SCORE_STATE_KEY, bestScore);
+        animateBestScore();
+    }
+    bestScoreElement.innerText = bestScore;
+}
+
+const animateBestScore = () => {
+    if (bestScoreContainer.classList.contains('beaten')) {
+        return;
+    }
+
+    bestScoreContainer.classList.add('beaten');
+    bestScoreContainer.addEventListener('animationend', function onAnimationEnd(evt) {
+        if (evt.animationName === 'best-score-pop') {
+            bestScoreContainer.classList.remove('beaten');
+            bestScoreContainer.removeEventListener('animationend', onAnimationEnd);
+        }
+    });
+}
+
 /**
  * @param {number} amount
  */
@@ -232,6 +858,7 @@ const showScoreIncrease = async (amount) => {
             elementSupplier: e => e.element,
             eventType: 'animationend',
             eventFilter: evt => evt.animationName === 'float-up-fading-out',
+            skipAnimations: areAnimationsOff(),
         },
         {
             onEachItem: (ele) => {
@@ -244,17 +871,19 @@ const showScoreIncrease = async (amount) => {
 }
 
 const adjustScoreColor = () => {
-    const scorePercentage = Math.min(score / MAX_SCORE_THRESHOLD, 1);
+    const scorePercentage = Math.min(session.getScore() / MAX_SCORE_THRESHOLD, 1);
+
+    const palette = theme.getPalette();
 
     // Update text color
-    const startColor = hexToRgb(START_SCORE_COLOR);
-    const endColor = hexToRgb(END_SCORE_COLOR);
+    const startColor = hexToRgb(palette.scoreStart);
+    const endColor = hexToRgb(palette.scoreEnd);
     const interpolatedColor = interpolateColor(startColor, endColor, scorePercentage);
     scoreElement.style.color = rgbToCss(interpolatedColor);
 
     // Update text shadow
-    const shadowStartColor = hexToRgb(START_SCORE_SHADOW_COLOR);
-    const shadowEndColor = hexToRgb(END_SCORE_SHADOW_COLOR);
+    const shadowStartColor = hexToRgb(palette.scoreShadowStart);
+    const shadowEndColor = hexToRgb(palette.scoreShadowEnd);
     const interpolatedShadowColor = interpolateColor(shadowStartColor, shadowEndColor, scorePercentage);
     const blurRadius = (END_SCORE_SHADOW_BLUR * scorePercentage).toFixed(2);
     const offset = (END_SCORE_SHADOW_OFFSET * scorePercentage).toFixed(2);
@@ -262,275 +891,1364 @@ const adjustScoreColor = () => {
 }
 
 /**
- * @param {HTMLElement} cell 
- * @param {number} value 
+ * @returns {Promise<void>}
+ */
+const renderInitialGameBoard = () => {
+    return boardRenderer.renderBoard(session.getMergedPoints(), session.getSpawnedPoint());
+}
+
+/**
+ * @param {Map<Point, BlockMove>} moves 
+ * @param {Point} spawned
+ * @param {Promise<void>}
  */
-const addValueStyle = (cell, value) => {
-    cell.innerText = value;
+const renderGame = async (moves, spawned) => {
+    await boardRenderer.renderMoves(moves);
+    
+    boardRenderer.renderSpawned(spawned);
+    cellManager.refreshLabels();
+    refreshGameOver();
+    refreshVictory();
+}
 
-    if (value <= MAX_VALUE_STYLE) {
-        cell.dataset.value = value;
+const refreshGameOver = () => {
+    if (session.isStopped()) {
+        openGameOverModal();
     }
     else {
-        cell.dataset.value = MAX_VALUE_STYLE;
-
-        cell.style.fontSize = '';
-        const lengthDiff = value.toString().length - MAX_VALUE_STYLE.toString().length;
-        const scalingFactor = 1.15 ** lengthDiff;
-        const style = getComputedStyle(cell);
-        const maxValueFontSize = parseFloat(style.fontSize);
-        const newFontSize = Math.max(maxValueFontSize / scalingFactor, 12);
-        cell.style.fontSize = `${newFontSize.toFixed(2)}px`;
+        closeGameOverModal();
     }
 }
 
-const clearMergeds = () => {
-    applyOnMergePoints(point => cellManager.get(point)?.classList.remove('merged'));
-    mergedPoints.clear();
+const refreshVictory = () => {
+    if (isAwaitingVictoryChoice()) {
+        openVictoryModal();
+    }
+    else {
+        closeVictoryModal();
+    }
+}
+
+/**
+ * @returns {GameModeProgress}
+ */
+const getModeProgress = () => {
+    return {
+        elapsed: stopwatch.getElapsed(),
+        moveCount: countMoves(),
+        maxValue: game.getBoard().getMaxValue(),
+    };
+}
+
+/**
+ * @returns {number} The number of moves played in the current game, undone ones included
+ */
+const countMoves = () => {
+    return replay ? replay.getSteps().filter(step => step.action === ReplayAction.MOVE).length : 0;
+}
+
+const renderModeHud = () => {
+    const text = gameMode.getHudText(getModeProgress());
+    modeHud.textContent = text;
+    modeHud.classList.toggle('show', text !== '');
+}
+
+const startModeTimer = () => {
+    stopwatch.start();
+    if (typeof modeTimerId === 'undefined') {
+        modeTimerId = setInterval(tickModeTimer, MODE_TIMER_INTERVAL);
+    }
+}
+
+const stopModeTimer = () => {
+    stopwatch.pause();
+    clearInterval(modeTimerId);
+    modeTimerId = undefined;
+}
+
+/**
+ * Stop the clock before leaving the current game, keeping its play time saved
+ */
+const suspendModeTimer = () => {
+    if (stopwatch.isRunning()) {
+        stopModeTimer();
+        saveElapsedStates();
+    }
+}
+
+const tickModeTimer = () => {
+    renderModeHud();
+    saveElapsedStates();
+    if (!session.isStopped() && gameMode.isOver(getModeProgress())) {
+        finishGameByMode();
+    }
+}
+
+/**
+ * End the game because the mode says so, e.g. when the time runs out
+ */
+const finishGameByMode = () => {
+    session.stop();
+    stopModeTimer();
+    stopAutoplay();
+    clearHint();
+    renderModeHud();
+    refreshGameOver();
+    closeVictoryModal();
+    recordFinishedGame();
+}
+
+/**
+ * @returns {boolean} Whether the target has just been reached and the player has not chosen how to go on yet
+ */
+const isAwaitingVictoryChoice = () => {
+    return targetDetector.isReached() && !continued && !replayPlayer && !session.isStopped();
+}
+
+const keepPlaying = () => {
+    continued = true;
+    closeVictoryModal();
+    saveGameStates();
+}
+
+const initGameBoard = () => {
+    const position = gameMode.getType() === GameModeType.PRACTICE ? restorePracticeStates() : undefined;
+    if (position) {
+        game.loadBoard(position.getBoard());
+        session.restore(position.getScore());
+    }
+    else {
+        for (let i = 0; i < INITIAL_BLOCK_COUNT; i++) {
+            game.spawnBlockWeighted(mergeVariant.getSpawnedBlocks(), mergeVariant.getSpawnedWeights());
+        }
+    }
+    replay = new Replay(game.getBoard(), mergeVariant.getId());
+}
+
+const clearStates = () => {
+    clearHint();
+    game.clearBoard();
+    game.getHistory().clear();
+    game.getRandomNumberGenerator().seed(gameMode.getSeed() ?? SeededRandomNumberGenerator.randomSeed());
+    stopModeTimer();
+    stopwatch.reset();
+    gameRecorded = false;
+    targetDetector.setReached(false);
+    continued = false;
+    session.reset();
+    cellManager.clear();
+}
+
+const resetStates = () => {
+    clearStates();
+    deleteGameStates();
+}
+
+/**
+ * Size the grid after the game board. Blocks of large boards are shrunk to keep about the size of the default board.
+ */
+const applyBoardLayout = () => {
+    const board = game.getBoard();
+    const longestSide = Math.max(board.getRowCount(), board.getColumnCount());
+    const scale = Math.min(Math.max(DEFAULT_BOARD_ROW_COUNT, DEFAULT_BOARD_COLUMN_COUNT) / longestSide, 1);
+    gameBoardElement.style.gridTemplateColumns = `repeat(${board.getColumnCount()}, minmax(0, 1fr))`;
+    gameBoardElement.style.fontSize = `${scale.toFixed(3)}em`;
+}
+
+/**
+ * Replace the game board with an empty board of the given size and clear every cell
+ * @param {number} rowCount
+ * @param {number} columnCount
+ */
+const resizeBoard = (rowCount, columnCount) => {
+    clearHint();
+    const board = game.getBoard();
+    if (board.getRowCount() === rowCount && board.getColumnCount() === columnCount) {
+        cellManager.clear();
+        return;
+    }
+
+    game.setBoard(new Board(rowCount, columnCount));
+    applyBoardLayout();
+    cellManager.rebuildBaseCells();
+}
+
+/**
+ * Switch the merge rules, spawned blocks, target, tile styling and solver to the given variant
+ * @param {MergeVariant} variant
+ */
+const applyMergeVariant = (variant) => {
+    mergeVariant = variant;
+    game.setOperation(new GameBoardOperation(variant.getMerger()));
+    targetDetector.setTarget(restoreTarget(variant));
+    gameBoardElement.dataset.variant = variant.getId();
+    updateSolver();
+}
+
+/**
+ * @param {MergeVariant} variant
+ */
+const renderTargetOptions = (variant) => {
+    targetSelect.replaceChildren(...variant.getTargets().map(value => new Option(value, value)));
+    targetSelect.value = variant === mergeVariant ? targetDetector.getTarget() : restoreTarget(variant);
+}
+
+/**
+ * @param {GameModeType[keyof typeof GameModeType]} type
+ * @param {number|undefined} selected
+ */
+const renderModeParameterOptions = (type, selected = undefined) => {
+    let options = [];
+    if (type === GameModeType.TIME_ATTACK) {
+        options = TimeAttackGameMode.MINUTE_OPTIONS.map(minutes => new Option(`${minutes} min`, minutes));
+    }
+    else if (type === GameModeType.LIMITED_MOVES) {
+        options = LimitedMovesGameMode.MOVE_LIMIT_OPTIONS.map(moves => new Option(`${moves} moves`, moves));
+    }
+
+    modeParameterSelect.replaceChildren(...options);
+    modeParameterLabel.hidden = options.length === 0;
+    if (options.some(option => Number(option.value) === selected)) {
+        modeParameterSelect.value = selected;
+    }
+}
+
+const openNewGameDialog = () => {
+    const board = game.getBoard();
+    rowCountSelect.value = board.getRowCount();
+    columnCountSelect.value = board.getColumnCount();
+    variantSelect.value = mergeVariant.getId();
+    renderTargetOptions(mergeVariant);
+    modeSelect.value = gameMode.getType();
+    renderModeParameterOptions(gameMode.getType(), gameMode.getParameter());
+    newGameDialog.classList.add('show');
+    newGameDialogOverlay.classList.add('show');
+}
+
+const closeNewGameDialog = () => {
+    newGameDialog.classList.remove('show');
+    newGameDialogOverlay.classList.remove('show');
+}
+
+/**
+ * Switch to the size and variant chosen in the new game dialog, resuming the saved game of that configuration if
+ * there is one
+ */
+const startChosenGame = async () => {
+    closeNewGameDialog();
+    if (renderingSignaler.isRendering() || replayPlayer) {
+        return;
+    }
+
+    suspendModeTimer();
+    renderingSignaler.start();
+    applyMergeVariant(MergeVariant.byId(variantSelect.value) ?? MergeVariants.CLASSIC);
+    targetDetector.setTarget(Number(targetSelect.value));
+    saveVariantStates();
+    saveTargetStates();
+    // A sprint runs to the chosen target tile
+    const modeType = modeSelect.value;
+    const modeParameter = modeType === GameModeType.SPRINT ? targetSelect.value : modeParameterSelect.value;
+    gameMode = GameMode.create(modeType, Number(modeParameter));
+    saveModeStates();
+    resizeBoard(Number(rowCountSelect.value), Number(columnCountSelect.value));
+    saveSizeStates();
+    await initGame();
+    renderingSignaler.finish();
+}
+
+const reset = async () => {
+    if (replayPlayer || isDailyChallenge()) {
+        return;
+    }
+
+    renderingSignaler.start();
+    moveQueue.clear();
+    if (!gameRecorded && countMoves() > 0) {
+        recordGameStats();
+    }
+    resetStates();
+
+    initGameBoard();
+    session.refreshStopped();
+
+    refreshGameOver();
+    refreshVictory();
+    refreshHistoryButtons();
+    broadcastSnapshot();
+    await renderInitialGameBoard();
+    renderingSignaler.finish();
+}
+
+const toggleDirectionButtons = () => {
+    if (supportDirectionButtons.style.display === 'block') {
+        supportDirectionButtons.style.display = 'none';
+    }
+    else {
+        supportDirectionButtons.style.display = 'block';
+    }
+}
+
+/**
+ * @param {Direction[keyof typeof Direction]} direction
+ */
+const moveInDirection = (direction) => {
+    return async () => {
+        if (renderingSignaler.isRendering() || session.isStopped() || replayPlayer || conflicted
+            || isAwaitingVictoryChoice()) {
+            return;
+        }
+
+        renderingSignaler.start();
+        startModeTimer();
+        const spawner = () => {
+            return game.spawnBlockWeighted(mergeVariant.getSpawnedBlocks(), mergeVariant.getSpawnedWeights());
+        };
+        if (await performMove(direction, spawner)) {
+            renderModeHud();
+            if (session.isStopped()) {
+                suspendModeTimer();
+                recordFinishedGame();
+            }
+            else if (gameMode.isOver(getModeProgress())) {
+                // The move count only includes the move once it has been recorded
+                finishGameByMode();
+            }
+            else if (isAwaitingVictoryChoice()) {
+                suspendModeTimer();
+            }
+        }
+        renderingSignaler.finish();
+    }
+}
+
+/**
+ * @param {Direction[keyof typeof Direction]} direction
+ * @param {() => Point|undefined} spawner Spawn the new block after the move
+ * @returns {Promise<boolean>} Whether any block was moved
+ */
+const performMove = async (direction, spawner) => {
+    const snapshot = createGameSnapshot();
+    boardRenderer.clearMerged(session.getMergedPoints());
+
+    const moves = session.move(direction, spawner);
+    if (moves.size === 0) {
+        return false;
+    }
+
+    game.getHistory().record(snapshot);
+    refreshHistoryButtons();
+    clearHint();
+    boardRenderer.clearSpawned(snapshot.spawnedPoint);
+
+    await renderGame(moves, session.getSpawnedPoint());
+    announceMove(direction, snapshot.board, moves);
+    return true;
+}
+
+/**
+ * Tell screen readers what changed on the board
+ * @param {string} text
+ */
+const announce = (text) => {
+    // Clear the region first so that the same text is announced again
+    boardAnnouncer.textContent = '';
+    requestAnimationFrame(() => boardAnnouncer.textContent = text);
+}
+
+/**
+ * @param {Direction[keyof typeof Direction]} direction
+ * @param {Board} before
+ * @param {Map<Point, BlockMove>} moves
+ */
+const announceMove = (direction, before, moves) => {
+    if (!announceMovesCheckbox.checked) {
+        return;
+    }
+
+    const description = BoardReader.describeMove(direction, before, game.getBoard(), moves, session.getSpawnedPoint());
+    announce(session.isStopped() ? `${description} No moves left, game over.` : description);
+}
+
+/**
+ * Read the whole board out loud, through the screen reader if speech is not available
+ */
+const readBoard = () => {
+    const text = `Score ${session.getScore()}. ${BoardReader.describeBoard(game.getBoard())}`;
+    if (!window.speechSynthesis) {
+        announce(text);
+        return;
+    }
+
+    speechSynthesis.cancel();
+    speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+}
+
+/**
+ * @param {Theme} chosen
+ */
+const applyTheme = (chosen) => {
+    theme = chosen;
+    theme.apply();
+    adjustScoreColor();
+}
+
+const renderThemeOptions = () => {
+    Object.values(Themes).forEach(entry => themeSelect.add(new Option(entry.getName(), entry.getId())));
+    themeSelect.add(new Option('Custom', Theme.CUSTOM_ID));
+
+    const colors = [
+        ['page', 'Page'],
+        ['text', 'Text'],
+        ['board', 'Board'],
+        ['cell', 'Empty cells'],
+        ...Theme.TILE_VALUES.map(value => [value, `Tile ${value}`]),
+        ['scoreStart', 'Score start'],
+        ['scoreEnd', 'Score end'],
+    ];
+    colors.forEach(([key, name]) => {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.dataset.color = key;
+
+        const label = document.createElement('label');
+        label.append(name, input);
+        customThemeColors.appendChild(label);
+    });
+}
+
+/**
+ * Show the colors of the custom theme in the editor, which is only visible while the custom theme is chosen
+ */
+const renderCustomThemeEditor = () => {
+    customThemeEditor.hidden = theme.getId() !== Theme.CUSTOM_ID;
+    const palette = (customTheme ?? theme).getPalette();
+    customThemeColors.querySelectorAll('input[type="color"]').forEach(input => {
+        const key = input.dataset.color;
+        input.value = Theme.TILE_VALUES.includes(Number(key)) ? palette.tiles[key].background : palette[key];
+    });
+}
+
+/**
+ * Preview the custom theme built from the editor. Tile texts get whichever color reads best on their tile.
+ */
+const updateCustomTheme = () => {
+    const palette = theme.getPalette();
+    customThemeColors.querySelectorAll('input[type="color"]').forEach(input => {
+        const key = input.dataset.color;
+        if (Theme.TILE_VALUES.includes(Number(key))) {
+            palette.tiles[key] = { background: input.value, color: Theme.readableTextColor(input.value) };
+        }
+        else {
+            palette[key] = input.value;
+        }
+    });
+    customTheme = Theme.custom(palette);
+    applyTheme(customTheme);
+}
+
+const chooseTheme = () => {
+    if (themeSelect.value === Theme.CUSTOM_ID) {
+        // A new custom theme starts from the theme in use
+        customTheme ??= Theme.custom(theme.getPalette());
+        applyTheme(customTheme);
+    }
+    else {
+        applyTheme(Theme.byId(themeSelect.value) ?? Themes.CLASSIC);
+    }
+    renderCustomThemeEditor();
+    saveThemeStates();
+}
+
+const saveCustomTheme = () => {
+    saveThemeStates();
+
+    const saveThemeButton = document.getElementById('save-theme-button');
+    saveThemeButton.textContent = 'SAVED!';
+    setTimeout(() => saveThemeButton.textContent = 'SAVE THEME', 1000);
+}
+
+/**
+ * Count the current game in the stats, submit it to the leaderboard and show where it ranks. A game is only submitted
+ * once, even if it is undone and finished again.
+ */
+const recordFinishedGame = () => {
+    if (gameRecorded) {
+        return;
+    }
+
+    gameRecorded = true;
+    saveGameStates();
+    recordGameStats();
+    if (isDailyChallenge()) {
+        finishDailyChallenge();
+    }
+    if (!gameMode.isCompleted(getModeProgress())) {
+        return;
+    }
+
+    const maxValue = game.getBoard().getMaxValue();
+    const entry = new LeaderboardEntry(session.getScore(), maxValue, countMoves(), stopwatch.getElapsed());
+    const rank = leaderboard.submit(entry);
+    setGameState(LEADERBOARD_STATE_KEY, JSON.parse(leaderboard.toJson()));
+    openLeaderboardDialog(rank);
+}
+
+/**
+ * @returns {string} The key identifying the save of the current game across tabs
+ */
+const getSaveId = () => {
+    return `${gameSaveSlot() ?? ''}/${gameConfigKey()}`;
+}
+
+/**
+ * Let spectators animate the move. Moves played by the player also tell the other tabs that this save is in use.
+ * @param {Direction[keyof typeof Direction]} direction
+ */
+const broadcastMove = (direction) => {
+    const spawnedPoint = session.getSpawnedPoint();
+    liveChannel.post(LiveMessageType.MOVE, {
+        saveId: replayPlayer ? undefined : getSaveId(),
+        direction,
+        spawned: spawnedPoint?.toString(),
+        spawnedBlock: spawnedPoint ? game.blockAt(spawnedPoint).toJson() : undefined,
+        board: game.getBoard().toJson(),
+        score: session.getScore(),
+        variant: mergeVariant.getId(),
+    });
+}
+
+const broadcastSnapshot = () => {
+    liveChannel.post(LiveMessageType.SNAPSHOT, {
+        board: game.getBoard().toJson(),
+        score: session.getScore(),
+        variant: mergeVariant.getId(),
+    });
+}
+
+/**
+ * A tab watching a replay holds no progress of its own as the save is reloaded once the replay is exited
+ * @param {{saveId: string|undefined}} message
+ */
+const handleSaveClaim = (message) => {
+    if (conflicted || replayPlayer || !message.saveId || message.saveId !== getSaveId()) {
+        return;
+    }
+
+    conflicted = true;
+    stopAutoplay();
+    suspendModeTimer();
+    conflictBanner.hidden = false;
+}
+
+/**
+ * Reload the save as the other tab left it and keep playing it here, the other tab being the one left alone this time
+ */
+const takeSaveOver = async () => {
+    if (renderingSignaler.isRendering() || !conflicted) {
+        return;
+    }
+
+    renderingSignaler.start();
+    conflicted = false;
+    conflictBanner.hidden = true;
+    clearHint();
+    cellManager.clear();
+    await initGame();
+    liveChannel.post(LiveMessageType.CLAIM, { saveId: getSaveId() });
+    renderingSignaler.finish();
+}
+
+/**
+ * List the save slots, some of which may have been created or deleted in other tabs
+ */
+const renderSlotOptions = () => {
+    const slots = loadSaveDocument().getSlots();
+    if (!slots.includes(saveSlot)) {
+        slots.push(saveSlot);
+    }
+    saveSlotSelect.replaceChildren(...slots.map(slot => new Option(slot, slot)));
+    saveSlotSelect.value = saveSlot;
+}
+
+/**
+ * Leave the games of the current slot saved as they are and resume those of the given slot
+ * @param {string} slot Created empty if it does not exist yet
+ */
+const switchSlot = async (slot) => {
+    if (renderingSignaler.isRendering() || replayPlayer) {
+        renderSlotOptions();
+        return;
+    }
+
+    stopAutoplay();
+    suspendModeTimer();
+    renderingSignaler.start();
+    saveSlot = slot;
+    updateSaveDocument(saveDocument => saveDocument.setCurrentSlot(slot));
+    renderSlotOptions();
+    conflicted = false;
+    conflictBanner.hidden = true;
+    clearHint();
+    cellManager.clear();
+    await initGame();
+    liveChannel.post(LiveMessageType.CLAIM, { saveId: getSaveId() });
+    renderingSignaler.finish();
+}
+
+const createSlot = async () => {
+    const slot = prompt('Name the new save slot:')?.trim();
+    if (slot) {
+        await switchSlot(slot);
+    }
+}
+
+const deleteSlot = async () => {
+    if (renderingSignaler.isRendering() || replayPlayer) {
+        return;
+    }
+    if (loadSaveDocument().getSlots().length <= 1) {
+        alert('The last save slot cannot be deleted.');
+        return;
+    }
+    if (!confirm(`Delete the save slot "${saveSlot}" and all its games? This cannot be undone.`)) {
+        return;
+    }
+
+    let nextSlot = saveSlot;
+    updateSaveDocument((saveDocument) => {
+        saveDocument.deleteSlot(saveSlot);
+        nextSlot = saveDocument.getSlots()[0];
+    });
+    await switchSlot(nextSlot);
+}
+
+/**
+ * @returns {boolean} Whether the current game is a daily challenge, which cannot be restarted nor undone
+ */
+const isDailyChallenge = () => {
+    return gameMode.getType() === GameModeType.DAILY;
+}
+
+/**
+ * Start or resume the challenge of the day, or show its result if it has already been played
+ */
+const startDailyChallenge = async () => {
+    if (renderingSignaler.isRendering() || replayPlayer) {
+        return;
+    }
+
+    stopAutoplay();
+    suspendModeTimer();
+    renderingSignaler.start();
+    applyMergeVariant(MergeVariants.CLASSIC);
+    resizeBoard(DEFAULT_BOARD_ROW_COUNT, DEFAULT_BOARD_COLUMN_COUNT);
+    const daily = DailyGameMode.today();
+    const attempt = restoreDailyStates();
+    if (attempt && attempt.getDate() !== daily.getDate()) {
+        // Only the challenge of the day is kept
+        gameMode = new DailyGameMode(attempt.getDate());
+        deleteGameStates();
+    }
+
+    gameMode = daily;
+    saveVariantStates();
+    saveSizeStates();
+    saveModeStates();
+    await initGame();
+    renderingSignaler.finish();
+}
+
+/**
+ * The challenge of the day was started but its save is lost. It is over rather than dealt again, so that it cannot be
+ * played twice.
+ */
+const abandonDailyChallenge = () => {
+    clearStates();
+    if (!restoreDailyStates().isFinished()) {
+        finishDailyChallenge();
+        alert('The save of today\'s challenge is lost. Come back tomorrow for a new one!');
+    }
+}
+
+const finishDailyChallenge = () => {
+    const attempt = restoreDailyStates();
+    if (attempt?.getDate() === gameMode.getDate() && !attempt.isFinished()) {
+        attempt.finish();
+        saveDailyStates(attempt);
+    }
+}
+
+const shareDailyResult = async () => {
+    if (!isDailyChallenge()) {
+        return;
+    }
+
+    const summary = new DailyChallengeSummary(gameMode, session.getScore(), countMoves(), game.getBoard());
+    await navigator.clipboard.writeText(summary.toText());
+    shareResultButton.textContent = 'COPIED!';
+    setTimeout(() => shareResultButton.textContent = 'SHARE RESULT', 1000);
+}
+
+const copyPositionLink = async () => {
+    const position = new SharedPosition(game.getBoard(), session.getScore(), mergeVariant.getId());
+    const params = new URLSearchParams({ [SHARED_POSITION_HASH_KEY]: position.encode() });
+    await navigator.clipboard.writeText(`${location.origin}${location.pathname}#${params}`);
+    copyLinkButton.textContent = 'COPIED!';
+    setTimeout(() => copyLinkButton.textContent = 'COPY LINK', 1000);
+}
+
+/**
+ * Start a practice game from the position shared in the URL hash, if any. The practice game is saved apart so that
+ * the main game is left untouched.
+ */
+const loadSharedPosition = async () => {
+    const code = new URLSearchParams(location.hash.slice(1)).get(SHARED_POSITION_HASH_KEY);
+    if (!code) {
+        return;
+    }
+
+    // Reloading the page must not throw away the progress made from the position
+    history.replaceState(null, '', `${location.pathname}${location.search}`);
+
+    let position;
+    try {
+        position = SharedPosition.decode(code);
+    }
+    catch (err) {
+        alert('The shared position is invalid.');
+        return;
+    }
+
+    const board = position.getBoard();
+    const isSupportedSize = [board.getRowCount(), board.getColumnCount()]
+        .every(count => count >= MIN_BOARD_SIZE && count <= MAX_BOARD_SIZE);
+    if (!isSupportedSize) {
+        const sizes = `${MIN_BOARD_SIZE}x${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE}x${MAX_BOARD_SIZE}`;
+        alert(`Only positions of boards from ${sizes} can be played.`);
+        return;
+    }
+    const variant = MergeVariant.byId(position.getVariantId());
+
+    stopAutoplay();
+    suspendModeTimer();
+    applyMergeVariant(variant);
+    resizeBoard(board.getRowCount(), board.getColumnCount());
+    gameMode = new PracticeGameMode();
+    saveVariantStates();
+    saveSizeStates();
+    saveModeStates();
+    setState(PRACTICE_STATE_KEY, code);
+    // Start over from the position even if an earlier practice game was saved
+    deleteGameStates();
+    await initGame();
+}
+
+const refreshDailyControls = () => {
+    resetButton.disabled = isDailyChallenge();
+    victoryNewGameButton.disabled = isDailyChallenge();
+    shareResultButton.hidden = !isDailyChallenge();
+}
+
+/**
+ * @param {number} highlightedRank The rank of the entry to highlight, -1 for none
+ */
+const renderLeaderboard = (highlightedRank = -1) => {
+    const board = game.getBoard();
+    const size = `${board.getRowCount()}x${board.getColumnCount()}`;
+    const category = [size, mergeVariant.getName(), gameMode.getKey() && gameMode.getName()];
+    leaderboardTitle.textContent = `LEADERBOARD ${category.filter(Boolean).join(' ').toUpperCase()}`;
+    leaderboardBody.replaceChildren();
+
+    const entries = leaderboard.getEntries();
+    if (entries.length === 0) {
+        const row = leaderboardBody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 6;
+        cell.textContent = 'No finished games yet';
+        return;
+    }
+
+    entries.forEach((entry, rank) => {
+        const row = leaderboardBody.insertRow();
+        row.classList.toggle('highlighted', rank === highlightedRank);
+        const values = [
+            rank + 1,
+            entry.score,
+            entry.maxValue,
+            entry.moveCount,
+            formatDuration(entry.duration),
+            new Date(entry.date).toLocaleDateString(),
+        ];
+        values.forEach(value => row.insertCell().textContent = value);
+    });
 }
 
-const clearSpawned = () => {
-    if (spawnedPoint) {
-        cellManager.get(spawnedPoint)?.classList.remove('spawned');
-        spawnedPoint = undefined;
-    }
+/**
+ * @param {number} highlightedRank The rank of the entry to highlight, -1 for none
+ */
+const openLeaderboardDialog = (highlightedRank = -1) => {
+    renderLeaderboard(highlightedRank);
+    leaderboardDialog.classList.add('show');
+    leaderboardDialogOverlay.classList.add('show');
+}
+
+const closeLeaderboardDialog = () => {
+    leaderboardDialog.classList.remove('show');
+    leaderboardDialogOverlay.classList.remove('show');
 }
 
 /**
- * @returns {Promise<void>}
+ * @param {AchievementEventType[keyof typeof AchievementEventType]} type
+ * @param {Direction[keyof typeof Direction]|undefined} direction
+ * @param {number|undefined} value
+ */
+const dispatchAchievementEvent = (type, direction = undefined, value = undefined) => {
+    const event = new AchievementEvent();
+    event.type = type;
+    event.board = game.getBoard();
+    event.direction = direction;
+    event.value = value;
+    event.won = targetDetector.isReached();
+    achievementEngine.dispatch(event);
+}
+
+/**
+ * @param {Achievement} achievement
  */
-const renderInitialGameBoard = async () => {
+const showAchievementToast = async (achievement) => {
     await conditionalEventListener(
         {
-            items: game.getBoard().getOccupiedSlots(),
-            elementSupplier: point => cellManager.create(point),
+            items: achievementToastRecycler.acquire(),
+            elementSupplier: e => e.element,
             eventType: 'animationend',
-            eventFilter: evt => evt.animationName === 'fade-in',
+            eventFilter: evt => evt.animationName === 'toast-slide',
+            skipAnimations: areAnimationsOff(),
         },
         {
-            onEachItem: (cell, point) => {
-                cell.classList.add('new-game');
-                if (point === spawnedPoint) {
-                    cell.classList.add('spawned');
-                }
-                if (mergedPoints.has(point)) {
-                    cell.classList.add('merged');
-                }
+            onEachItem: (element) => {
+                element.textContent = `🏆 ${achievement.getName()} unlocked!`;
             },
-            onEachEvent: cell => cell.classList.remove('new-game'),
+            onEachEvent: (_, e) => e.remove(),
         }
     );
 }
 
+const renderAchievements = () => {
+    achievementList.replaceChildren(...achievementEngine.getAchievements().map(achievement => {
+        const unlockDate = achievementEngine.getUnlockDate(achievement);
+        const item = document.createElement('li');
+        item.classList.add('achievement-item');
+        item.classList.toggle('unlocked', typeof unlockDate !== 'undefined');
+
+        const name = document.createElement('strong');
+        name.textContent = achievement.getName();
+        const description = document.createElement('span');
+        description.textContent = achievement.getDescription();
+        const progress = document.createElement('span');
+        progress.classList.add('achievement-progress');
+        progress.textContent = typeof unlockDate !== 'undefined'
+            ? new Date(unlockDate).toLocaleDateString()
+            : `${achievementEngine.getProgress(achievement)} / ${achievement.getGoal()}`;
+        item.append(name, description, progress);
+        return item;
+    }));
+}
+
+const openAchievementDialog = () => {
+    renderAchievements();
+    achievementDialog.classList.add('show');
+    achievementDialogOverlay.classList.add('show');
+}
+
+const closeAchievementDialog = () => {
+    achievementDialog.classList.remove('show');
+    achievementDialogOverlay.classList.remove('show');
+}
+
 /**
- * @param {Map<Point, BlockMove>} moves 
- * @param {Point} spawned
- * @param {Promise<void>}
+ * Play the direction, or keep it until the board is done rendering instead of dropping it
+ * @param {Direction[keyof typeof Direction]} direction
  */
-const renderGame = async (moves, spawned) => {
-    await renderGameBoard(moves);
-    
-    renderScore(true);
-    spawnNewCell(spawned);
-    refreshGameOver();
-    if (stopped) {
-        gameOverSfx.play();
+const queueMove = (direction) => {
+    if (session.isStopped() || replayPlayer || conflicted || isAwaitingVictoryChoice()) {
+        return;
+    }
+    if (renderingSignaler.isRendering()) {
+        moveQueue.push(direction);
+        return;
     }
+    moveInDirection(direction)();
 }
 
+const playQueuedMoves = () => {
+    // A queued move that cannot be played does not render, so the next one is tried right away
+    while (moveQueue.getSize() > 0 && !renderingSignaler.isRendering()) {
+        moveInDirection(moveQueue.shift())();
+    }
+}
+
+const moveUp = () => queueMove(Direction.UP);
+const moveDown = () => queueMove(Direction.DOWN);
+const moveLeft = () => queueMove(Direction.LEFT);
+const moveRight = () => queueMove(Direction.RIGHT);
+
 /**
- * @typedef {{cell: HTMLElement, cleanUp: (() => void) | undefined, newValue: number}} MergedCellEntry
+ * Listen to swipes on the board again with the current settings
  */
+const applySwipeSettings = () => {
+    swipeListener?.off();
+    swipeListener = SwipeListener(gameBoardElement, {
+        minHorizontal: swipeSettings.distance,
+        minVertical: swipeSettings.distance,
+        preventScroll: true,
+        lockAxis: true,
+        mouse: swipeSettings.mouse,
+        touch: true,
+    });
+    gameBoardElement.classList.toggle('mouse-swipe', swipeSettings.mouse);
+}
+
+const updateSwipeSettings = () => {
+    swipeSettings = SwipeSettings.fromJson({
+        distance: swipeDistanceSelect.value,
+        diagonalTolerance: swipeDiagonalSelect.value,
+        mouse: mouseSwipeCheckbox.checked,
+    });
+    applySwipeSettings();
+    saveControlsStates();
+}
 
 /**
- * @param {Map<Point, BlockMove>} moves
+ * @returns {GameSnapshot}
+ */
+const createGameSnapshot = () => {
+    const rngState = game.getRandomNumberGenerator().getState();
+    const board = game.getBoard();
+    return new GameSnapshot(
+        board,
+        session.getScore(),
+        session.getMergedPoints(),
+        session.getSpawnedPoint(),
+        rngState,
+        targetDetector.isReached(),
+        continued
+    );
+}
+
+/**
+ * @param {GameSnapshot} snapshot
  * @returns {Promise<void>}
  */
-const renderGameBoard = async (moves) => {
-    /**
-     * @type {MergedCellEntry[]}
-     */
-    const mergeds = [];
+const renderGameSnapshot = async (snapshot) => {
+    session.restore(snapshot.score, snapshot.mergedPoints, snapshot.spawnedPoint);
+    targetDetector.setReached(snapshot.won);
+    continued = snapshot.continued;
+    cellManager.clear();
+    clearHint();
 
-    await conditionalEventListener(
-        {
-            items: [...moves.values()],
-            elementSupplier: move => cellManager.get(move.from),
-            eventType: 'transitionend',
-            eventFilter: (evt) => evt.propertyName === 'left' || evt.propertyName === 'top',
-        },
-        {
-            onEachItem: (cell, move) => {
-                const { from, to, merged } = move;
-                const cleanUp = cellManager.move(from, to);
-                
-                if (merged) {
-                    const newValue = game.blockAt(to)?.getValue();
-                    mergeds.push({ cell, cleanUp, newValue });
-                }
-            }
+    refreshGameOver();
+    refreshVictory();
+    refreshHistoryButtons();
+    broadcastSnapshot();
+    await renderInitialGameBoard();
+}
+
+/**
+ * @param {(current: GameSnapshot) => GameSnapshot|undefined} travel
+ * @param {() => ReplayStep} createStep
+ */
+const travelInHistory = (travel, createStep) => {
+    return async () => {
+        if (renderingSignaler.isRendering() || replayPlayer) {
+            return;
+        }
+
+        const snapshot = travel(createGameSnapshot());
+        if (!snapshot) {
+            return;
         }
-    );
 
-    await handleMergedCells(mergeds);
+        renderingSignaler.start();
+        replay.record(createStep());
+        await renderGameSnapshot(snapshot);
+        renderingSignaler.finish();
+    }
 }
 
 /**
- * @param {MergedCellEntry[]} mergeds
- * @returns {Promise<void>}
+ * Rebuild the solver from the AI settings
  */
-const handleMergedCells = async (mergeds) => {
-    await conditionalEventListener(
-        {
-            items: mergeds,
-            elementSupplier: e => e.cell,
-            eventType: 'animationend',
-            eventFilter: evt => evt.animationName === 'bounce-merged-block',
-        },
-        {
-            onEachItem: (cell, e) => {
-                e.cleanUp?.();
-                cell.classList.add('bounce-merged');
-            },
-            onEachEvent: (cell, e) => {
-                cell.classList.remove('bounce-merged');
-                cell.classList.add('merged');
-                addValueStyle(cell, e.newValue);
-            },
-        }
+const updateSolver = () => {
+    const weights = {
+        monotonicity: Number(monotonicityWeightInput.value),
+        emptyCells: Number(emptyCellsWeightInput.value),
+        smoothness: Number(smoothnessWeightInput.value),
+    };
+    /**
+     * @param {number} depth
+     * @returns {ExpectimaxSolver}
+     */
+    const createSolver = (depth) => new ExpectimaxSolver(
+        game.getStrategyFactory(),
+        new GameBoardOperation(mergeVariant.getMerger()),
+        mergeVariant.getSpawnedBlocks(),
+        mergeVariant.getSpawnedWeights(),
+        new BoardEvaluator(weights),
+        depth
     );
+    solver = createSolver(Number(solverDepthSelect.value));
+    hintSolver = createSolver(HINT_SEARCH_DEPTH);
 }
 
 /**
- * @param {Point} spawned
- * @returns {Promise<void>}
+ * Highlight the recommended direction and show the evaluation of every direction.
+ * The search runs on copies of the board, leaving the game and its random number generator untouched.
  */
-const spawnNewCell = async (spawned) => {
-    await conditionalEventListener(
-        {
-            items: cellManager.create(spawned),
-            elementSupplier: cell => cell,
-            eventType: 'animationend',
-            eventFilter: evt => evt.animationName === 'fade-in',
-        },
-        {
-            onEachItem: cell => cell.classList.add('spawned'),
+const showHint = () => {
+    if (renderingSignaler.isRendering() || session.isStopped() || replayPlayer) {
+        return;
+    }
+
+    clearHint();
+    const scores = hintSolver.evaluateMoves(game.getBoard());
+    let bestDirection = undefined;
+    for (const [direction, score] of scores) {
+        if (!bestDirection || score > scores.get(bestDirection)) {
+            bestDirection = direction;
         }
-    );
+    }
+    if (!bestDirection) {
+        return;
+    }
+
+    document.querySelectorAll(`.direction-button[data-direction="${bestDirection}"]`)
+        .forEach(button => button.classList.add('hinted'));
+    hintArrow.textContent = DIRECTION_ARROWS[bestDirection];
+    hintArrow.classList.add('show');
+
+    for (const direction of Object.values(Direction)) {
+        const entry = document.createElement('span');
+        const score = scores.get(direction);
+        entry.textContent = `${DIRECTION_ARROWS[direction]} ${typeof score === 'number' ? score.toFixed(1) : '—'}`;
+        entry.classList.toggle('best', direction === bestDirection);
+        hintScores.appendChild(entry);
+    }
+    hintScores.classList.add('show');
 }
 
-const refreshGameOver = () => {
-    if (stopped) {
-        openGameOverModal();
+const clearHint = () => {
+    document.querySelectorAll('.direction-button.hinted').forEach(button => button.classList.remove('hinted'));
+    hintArrow.classList.remove('show');
+    hintScores.classList.remove('show');
+    hintScores.replaceChildren();
+}
+
+const toggleAutoplay = () => {
+    if (autoplaying) {
+        stopAutoplay();
     }
     else {
-        closeGameOverModal();
+        startAutoplay();
     }
 }
 
-const initGameBoard = () => {
-    for (let i = 0; i < INITIAL_BLOCK_COUNT; i++) {
-        game.spawnBlockWeighted(SPAWNED_BLOCKS, SPAWNED_WEIGHTS);
+const startAutoplay = () => {
+    if (autoplaying || session.isStopped() || replayPlayer) {
+        return;
     }
+
+    autoplaying = true;
+    autoplayButton.textContent = 'STOP AI';
+    autoplayButton.classList.add('active');
+    scheduleAutoplay(autoplaySession, 0);
 }
 
-const isGameOver = () => {
-    if (stopped) {
-        return true;
+const stopAutoplay = () => {
+    if (!autoplaying) {
+        return;
     }
 
-    for (const direction of Object.values(Direction)) {
-        if (game.tryMoveBlocks(direction)) {
-            return false;
-        }
-    }
-    return true;
+    autoplaying = false;
+    autoplaySession++;
+    autoplayButton.textContent = 'AUTOPLAY';
+    autoplayButton.classList.remove('active');
 }
 
-const resetStates = () => {
-    game.clearBoard();
-    score = 0;
-    stopped = false;
-    mergedPoints.clear();
-    spawnedPoint = undefined;
-    cellManager.clear();
+/**
+ * @param {number} run The autoplay session the move belongs to
+ * @param {number} delay
+ */
+const scheduleAutoplay = (run, delay) => {
+    setTimeout(async () => {
+        if (run !== autoplaySession) {
+            return;
+        }
+        if (session.isStopped() || replayPlayer || isAwaitingVictoryChoice()) {
+            stopAutoplay();
+            return;
+        }
 
-    deleteGameStates();
+        if (!renderingSignaler.isRendering()) {
+            const best = solver.findBestMove(game.getBoard());
+            if (!best) {
+                stopAutoplay();
+                return;
+            }
+            await moveInDirection(best.direction)();
+        }
+
+        if (run === autoplaySession) {
+            scheduleAutoplay(run, Number(autoplaySpeedSelect.value));
+        }
+    }, delay);
 }
 
-const reset = async () => {
-    renderingSignaler.start();
-    resetStates();
+const undo = travelInHistory(current => game.undo(current), ReplayStep.undo);
+const redo = travelInHistory(current => game.redo(current), ReplayStep.redo);
 
-    initGameBoard();
-    stopped = isGameOver();
+/**
+ * Run what a key or a gamepad input is bound to. Hotkeys follow the same rules as the buttons they stand for.
+ * @param {KeyAction[keyof typeof KeyAction]} action
+ */
+const performAction = (action) => {
+    switch (action) {
+        case KeyAction.UP:
+            moveUp();
+            break;
+        case KeyAction.DOWN:
+            moveDown();
+            break;
+        case KeyAction.LEFT:
+            moveLeft();
+            break;
+        case KeyAction.RIGHT:
+            moveRight();
+            break;
+        case KeyAction.UNDO:
+            if (!undoButton.disabled) {
+                undo();
+            }
+            break;
+        case KeyAction.RESTART:
+            if (!renderingSignaler.isRendering() && !resetButton.disabled) {
+                reset();
+            }
+            break;
+        case KeyAction.READ_BOARD:
+            readBoard();
+            break;
+    }
+}
 
-    renderScore(false);
-    refreshGameOver();
-    await renderInitialGameBoard();
+/**
+ * Bind the pressed key to the action waiting for one. Escape cancels.
+ * @param {string} key
+ */
+const rebindKey = (key) => {
+    if (MODIFIER_KEYS.includes(key)) {
+        return;
+    }
+    if (key !== 'Escape') {
+        keyBindings = keyBindings.withKey(rebindingAction, key);
+        saveControlsStates();
+    }
+    rebindingAction = undefined;
+    renderKeyBindings();
+}
 
-    saveGameStates();
-    renderingSignaler.finish();
+const renderKeyBindings = () => {
+    keyPresetSelect.value = keyBindings.getPreset();
+    keyBindingButtons.forEach(button => {
+        const action = button.dataset.action;
+        button.textContent = action === rebindingAction
+            ? 'PRESS A KEY...'
+            : KeyBindings.describeKey(keyBindings.getKey(action) ?? '');
+        button.classList.toggle('active', action === rebindingAction);
+    });
+    deadzoneInput.value = gamepadPoller.getDeadzone();
 }
 
-const toggleDirectionButtons = () => {
-    if (supportDirectionButtons.style.display === 'block') {
-        supportDirectionButtons.style.display = 'none';
-    }
-    else {
-        supportDirectionButtons.style.display = 'block';
+const refreshHistoryButtons = () => {
+    undoButton.disabled = !!replayPlayer || isDailyChallenge() || !game.getHistory().canUndo();
+    redoButton.disabled = !!replayPlayer || isDailyChallenge() || !game.getHistory().canRedo();
+}
+
+/**
+ * Rebuild the given replay on the board. The saved game is restored once the replay is exited.
+ * @param {Replay} target
+ * @returns {Promise<void>}
+ */
+const startReplay = async (target) => {
+    if (renderingSignaler.isRendering() || replayPlayer) {
+        return;
     }
+
+    stopAutoplay();
+    suspendModeTimer();
+    moveQueue.clear();
+    renderingSignaler.start();
+    replayPlayer = new ReplayPlayer(target, playReplayStep);
+    replayPlayer.setSpeed(Number(replaySpeedSelect.value));
+    replayPlayer.setOnChangeListener(refreshReplayControls);
+
+    const initialBoard = target.getInitialBoard();
+    applyMergeVariant(MergeVariant.byId(target.getVariantId()) ?? MergeVariants.CLASSIC);
+    resizeBoard(initialBoard.getRowCount(), initialBoard.getColumnCount());
+    game.setHistory(new GameHistory(HISTORY_CAPACITY));
+    game.loadBoard(initialBoard);
+    targetDetector.setReached(false);
+    closeVictoryModal();
+    replayControls.classList.add('show');
+    refreshReplayControls(replayPlayer);
+    await renderGameSnapshot(new GameSnapshot(target.getInitialBoard(), 0));
+    renderingSignaler.finish();
 }
 
 /**
- * @param {Direction[keyof typeof Direction]} direction
+ * @param {ReplayStep} step
+ * @returns {Promise<void>}
  */
-const moveInDirection = (direction) => {
-    return async () => {
-        if (renderingSignaler.isRendering() || stopped) {
-            return;
+const playReplayStep = async (step) => {
+    renderingSignaler.start();
+    switch (step.action) {
+        case ReplayAction.MOVE: {
+            const { spawnedPoint, spawnedBlock } = step;
+            await performMove(step.direction, () => spawnedPoint && game.spawnBlockAt(spawnedPoint, spawnedBlock));
+            break;
+        }
+        case ReplayAction.UNDO:
+        case ReplayAction.REDO: {
+            const current = createGameSnapshot();
+            const snapshot = step.action === ReplayAction.UNDO ? game.undo(current) : game.redo(current);
+            if (snapshot) {
+                await renderGameSnapshot(snapshot);
+            }
+            break;
         }
+    }
+    renderingSignaler.finish();
+}
 
-        renderingSignaler.start();
-        clearMergeds();
+const exitReplay = async () => {
+    if (!replayPlayer) {
+        return;
+    }
 
-        const moves = game.moveBlocks(direction);
-        if (moves.size === 0) {
-            renderingSignaler.finish();
-            return;
-        }
+    await replayPlayer.stop();
+    replayPlayer = undefined;
+    replayControls.classList.remove('show');
 
-        clearSpawned();
-        spawnedPoint = game.spawnBlockWeighted(SPAWNED_BLOCKS, SPAWNED_WEIGHTS);
-        stopped = isGameOver();
+    renderingSignaler.start();
+    applyMergeVariant(restoreVariantStates());
+    const { rowCount, columnCount } = restoreSizeStates();
+    resizeBoard(rowCount, columnCount);
+    await initGame();
+    renderingSignaler.finish();
+}
 
-        await renderGame(moves, spawnedPoint);
+const loadReplay = () => {
+    const text = prompt('Paste a replay:');
+    if (!text) {
+        return;
+    }
 
-        saveGameStates();
-        renderingSignaler.finish();
+    let loaded;
+    try {
+        loaded = Replay.fromJson(text);
     }
+    catch (err) {
+        alert('The replay is invalid.');
+        return;
+    }
+
+    const initialBoard = loaded.getInitialBoard();
+    const isSupportedSize = [initialBoard.getRowCount(), initialBoard.getColumnCount()]
+        .every(count => count >= MIN_BOARD_SIZE && count <= MAX_BOARD_SIZE);
+    if (!isSupportedSize) {
+        const sizes = `${MIN_BOARD_SIZE}x${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE}x${MAX_BOARD_SIZE}`;
+        alert(`Only replays of boards from ${sizes} can be played.`);
+        return;
+    }
+    if (!MergeVariant.byId(loaded.getVariantId())) {
+        alert('The replay uses an unknown merge variant.');
+        return;
+    }
+    if (!loaded.isPlayable()) {
+        alert('The replay spawns blocks that cannot be played on its board.');
+        return;
+    }
+
+    startReplay(loaded);
+}
+
+const copyReplay = async () => {
+    if (!replayPlayer) {
+        return;
+    }
+
+    await navigator.clipboard.writeText(replayPlayer.getReplay().toJson());
+    replayCopyButton.textContent = 'COPIED!';
+    setTimeout(() => replayCopyButton.textContent = 'COPY', 1000);
+}
+
+/**
+ * @param {ReplayPlayer} player
+ */
+const refreshReplayControls = (player) => {
+    replayProgress.textContent = `${player.getPosition()} / ${player.getLength()}`;
+    replayPlayButton.textContent = player.isPlaying() ? 'PAUSE' : 'PLAY';
+    replayPlayButton.disabled = player.isFinished();
+    replayStepButton.disabled = player.isFinished() || player.isPlaying();
+}
+
+/**
+ * Start a new game, saved along with the reset of the session
+ */
+const startNewGame = () => {
+    clearStates();
+    initGameBoard();
 }
-const moveUp = moveInDirection(Direction.UP);
-const moveDown = moveInDirection(Direction.DOWN);
-const moveLeft = moveInDirection(Direction.LEFT);
-const moveRight = moveInDirection(Direction.RIGHT);
 
 const initGame = async () => {
-    if (!hasGameSavedStates()) {
-        initGameBoard();
+    moveQueue.clear();
+    restoreLeaderboardStates();
+    let save = getGameSave();
+    if (save) {
+        try {
+            restoreGameStates(save);
+        }
+        catch (e) {
+            console.warn('The saved game cannot be restored, starting a new one.', e);
+            deleteGameStates();
+            save = undefined;
+        }
     }
-    else {
-        restoreGameStates();
+    const attempted = isDailyChallenge() && restoreDailyStates()?.getDate() === gameMode.getDate();
+    if (!save && attempted) {
+        abandonDailyChallenge();
+    }
+    else if (!save) {
+        startNewGame();
+    }
+    if (isDailyChallenge() && !attempted) {
+        // Dealt or resumed, this is the attempt of the day
+        saveDailyStates(new DailyChallengeAttempt(gameMode.getDate(), session.isStopped()));
     }
 
-    stopped = isGameOver();
+    session.refreshStopped();
     
-    renderScore(false);
+    renderModeHud();
+    broadcastSnapshot();
     await renderInitialGameBoard();
+    refreshDailyControls();
     refreshGameOver();
+    refreshVictory();
+    refreshHistoryButtons();
 };
 
 function openGameOverModal() {
+    gameOverMessage.textContent = gameMode.getEndMessage(getModeProgress());
     gameOverModalBoxElement.classList.add('show');
     gameOverModelOverlay.classList.add('show');
 }
@@ -540,6 +2258,17 @@ function closeGameOverModal() {
     gameOverModelOverlay.classList.remove('show');
 }
 
+function openVictoryModal() {
+    victoryMessage.textContent = `${targetDetector.getTarget()} REACHED!`;
+    victoryModalBoxElement.classList.add('show');
+    victoryModalOverlay.classList.add('show');
+}
+
+function closeVictoryModal() {
+    victoryModalBoxElement.classList.remove('show');
+    victoryModalOverlay.classList.remove('show');
+}
+
 function getVolumePercentage() {
     return Math.round(backgroundMusic.getVolume() * 100);
 }
@@ -569,6 +2298,21 @@ function updateAudioProgress() {
 }
 
 const initUi = () => {
+    for (let size = MIN_BOARD_SIZE; size <= MAX_BOARD_SIZE; size++) {
+        rowCountSelect.add(new Option(size, size));
+        columnCountSelect.add(new Option(size, size));
+    }
+    Object.values(MergeVariants).forEach(variant => variantSelect.add(new Option(variant.getName(), variant.getId())));
+    // The daily challenge has its own button as it always uses the default size and the classic variant, and practice
+    // games start from shared links
+    Object.values(GameModeType)
+        .filter(type => type !== GameModeType.DAILY && type !== GameModeType.PRACTICE)
+        .forEach(type => modeSelect.add(new Option(GAME_MODE_NAMES[type], type)));
+
+    const { rowCount, columnCount } = restoreSizeStates();
+    game.setBoard(new Board(rowCount, columnCount));
+    applyBoardLayout();
+
     const initBaseCellPromise = cellManager.initBaseCells();
     updateAudioProgress();
 
@@ -577,35 +2321,44 @@ const initUi = () => {
 
 const initListeners = () => {
     document.addEventListener('keydown', (e) => {
-        switch (e.key) {
-            case 'ArrowUp':
-                e.preventDefault();
-                moveUp();
-                break;
-            case 'ArrowDown':
-                e.preventDefault();
-                moveDown();
-                break;
-            case 'ArrowLeft':
-                e.preventDefault();
-                moveLeft();
-                break;
-            case 'ArrowRight':
-                e.preventDefault();
-                moveRight();
-                break;
+        if (rebindingAction) {
+            e.preventDefault();
+            rebindKey(e.key);
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.('input, select, textarea')) {
+            return;
+        }
+
+        const action = keyBindings.getAction(e.key);
+        if (action) {
+            e.preventDefault();
+            performAction(action);
         }
     });
-    
-    SwipeListener(gameBoardElement, {
-        minHorizontal: 20,
-        minVertical: 20,
-        preventScroll: true,
-        lockAxis: true,
-        mouse: false,
-        touch: true,
+    keyPresetSelect.addEventListener('change', () => {
+        keyBindings = keyPresetSelect.value === KeyPreset.CUSTOM
+            ? keyBindings.asCustom()
+            : KeyBindings.of(keyPresetSelect.value);
+        saveControlsStates();
+        renderKeyBindings();
+    });
+    keyBindingButtons.forEach(button => button.addEventListener('click', () => {
+        rebindingAction = button.dataset.action;
+        renderKeyBindings();
+    }));
+    deadzoneInput.addEventListener('change', () => {
+        gamepadPoller.setDeadzone(Number(deadzoneInput.value));
+        saveControlsStates();
     });
+    gamepadPoller.attach();
+    
+    applySwipeSettings();
     gameBoardElement.addEventListener('swipe', (e) => {
+        if (!swipeSettings.accepts(e.detail)) {
+            return;
+        }
+
         const directions = e.detail.directions;
         if (directions.top) {
             e.preventDefault();
@@ -624,8 +2377,85 @@ const initListeners = () => {
             moveRight();
         }
     });
+    renderingSignaler.addIdleListener(playQueuedMoves);
+    document.getElementById('read-board-button')?.addEventListener('click', readBoard);
+    themeSelect.addEventListener('change', chooseTheme);
+    customThemeColors.addEventListener('input', updateCustomTheme);
+    document.getElementById('save-theme-button')?.addEventListener('click', saveCustomTheme);
+    announceMovesCheckbox.addEventListener('change', saveAccessibilityStates);
+    saveSlotSelect.addEventListener('change', () => switchSlot(saveSlotSelect.value));
+    document.getElementById('new-slot-button')?.addEventListener('click', createSlot);
+    document.getElementById('delete-slot-button')?.addEventListener('click', deleteSlot);
+    window.addEventListener('storage', (evt) => {
+        if (evt.key === SAVE_STATE_KEY || evt.key === null) {
+            renderSlotOptions();
+        }
+    });
+    animationSpeedSelect.addEventListener('change', () => {
+        saveAnimationSpeed(Object.values(AnimationSpeed).includes(animationSpeedSelect.value)
+            ? animationSpeedSelect.value
+            : undefined);
+    });
+    [swipeDistanceSelect, swipeDiagonalSelect, mouseSwipeCheckbox].forEach(input => {
+        input.addEventListener('change', updateSwipeSettings);
+    });
     
-    document.getElementById('reset-button')?.addEventListener('click', reset);
+    resetButton.addEventListener('click', reset);
+    document.getElementById('new-game-button')?.addEventListener('click', openNewGameDialog);
+    document.getElementById('new-game-start-button')?.addEventListener('click', startChosenGame);
+    variantSelect.addEventListener('change', () => renderTargetOptions(MergeVariant.byId(variantSelect.value)));
+    modeSelect.addEventListener('change', () => renderModeParameterOptions(modeSelect.value));
+    document.getElementById('new-game-cancel-button')?.addEventListener('click', closeNewGameDialog);
+    newGameDialogOverlay.addEventListener('click', closeNewGameDialog);
+    document.getElementById('leaderboard-button')?.addEventListener('click', () => openLeaderboardDialog());
+    document.getElementById('leaderboard-close-button')?.addEventListener('click', closeLeaderboardDialog);
+    leaderboardDialogOverlay.addEventListener('click', closeLeaderboardDialog);
+    document.getElementById('achievement-button')?.addEventListener('click', openAchievementDialog);
+    document.getElementById('achievement-close-button')?.addEventListener('click', closeAchievementDialog);
+    achievementDialogOverlay.addEventListener('click', closeAchievementDialog);
+    document.getElementById('keep-playing-button')?.addEventListener('click', keepPlaying);
+    victoryNewGameButton.addEventListener('click', reset);
+    document.getElementById('daily-button')?.addEventListener('click', startDailyChallenge);
+    shareResultButton.addEventListener('click', shareDailyResult);
+    copyLinkButton.addEventListener('click', copyPositionLink);
+    document.getElementById('take-over-button')?.addEventListener('click', takeSaveOver);
+    liveChannel
+        .on(LiveMessageType.MOVE, handleSaveClaim)
+        .on(LiveMessageType.CLAIM, handleSaveClaim)
+        .on(LiveMessageType.SNAPSHOT_REQUEST, () => {
+            if (!conflicted) {
+                broadcastSnapshot();
+            }
+        });
+    window.addEventListener('hashchange', async () => {
+        if (renderingSignaler.isRendering() || replayPlayer) {
+            return;
+        }
+
+        renderingSignaler.start();
+        await loadSharedPosition();
+        renderingSignaler.finish();
+    });
+    undoButton.addEventListener('click', undo);
+    redoButton.addEventListener('click', redo);
+
+    document.getElementById('watch-replay-button')?.addEventListener('click', () => startReplay(replay));
+    document.getElementById('load-replay-button')?.addEventListener('click', loadReplay);
+    document.getElementById('replay-exit-button')?.addEventListener('click', exitReplay);
+    replayPlayButton.addEventListener('click', () => replayPlayer?.togglePause());
+    replayStepButton.addEventListener('click', () => replayPlayer?.step());
+    replayCopyButton.addEventListener('click', copyReplay);
+    replaySpeedSelect.addEventListener('change', () => replayPlayer?.setSpeed(Number(replaySpeedSelect.value)));
+
+    autoplayButton.addEventListener('click', toggleAutoplay);
+    document.getElementById('hint-button')?.addEventListener('click', showHint);
+    autoplaySpeedSelect.addEventListener('change', saveSolverStates);
+    [solverDepthSelect, monotonicityWeightInput, emptyCellsWeightInput, smoothnessWeightInput].forEach(input => {
+        input.addEventListener('change', () => {
+            updateSolver();
+            saveSolverStates();
+        });
+    });
     document.getElementById('toggle-direction-button')?.addEventListener('click', toggleDirectionButtons);
 
     document.getElementById('next-bgm-button')?.addEventListener('click', () => {
@@ -692,11 +2522,26 @@ const showInitialLoaded = () => {
 }
 
 const init = async () => {
+    followAnimationSpeed();
     showInitialLoading();
 
+    migrateSaveStates();
+    restoreSlotStates();
+    renderSlotOptions();
     restoreAudioStates();
+    restoreSolverStates();
+    restoreControlsStates();
+    renderKeyBindings();
+    restoreAccessibilityStates();
+    restoreAchievementStates();
+    achievementEngine.setOnUnlockedListener(showAchievementToast);
+    renderThemeOptions();
+    restoreThemeStates();
+    applyMergeVariant(restoreVariantStates());
+    gameMode = restoreModeStates();
     await initUi();
     await initGame();
+    await loadSharedPosition();
     initListeners();
 
     requestAnimationFrame(showInitialLoaded);
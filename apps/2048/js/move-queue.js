@@ -0,0 +1,56 @@
+/**
+ * Directions played while the board was still rendering, waiting for their turn. The queue is bounded so that a burst
+ * of input cannot keep the board moving long after the player stopped.
+ */
+class MoveQueue {
+    static get DEFAULT_CAPACITY() {
+        return 2;
+    }
+
+    /**
+     * @type {number}
+     */
+    #capacity;
+
+    /**
+     * @type {Direction[keyof typeof Direction][]}
+     */
+    #directions = [];
+
+    /**
+     * @param {number} capacity
+     */
+    constructor(capacity = MoveQueue.DEFAULT_CAPACITY) {
+        this.#capacity = capacity;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getSize() {
+        return this.#directions.length;
+    }
+
+    /**
+     * @param {Direction[keyof typeof Direction]} direction
+     * @returns {boolean} Whether the direction was queued, it is dropped when the queue is full
+     */
+    push(direction) {
+        if (this.#directions.length >= this.#capacity) {
+            return false;
+        }
+        this.#directions.push(direction);
+        return true;
+    }
+
+    /**
+     * @returns {Direction[keyof typeof Direction]|undefined} The oldest direction, removed from the queue
+     */
+    shift() {
+        return this.#directions.shift();
+    }
+
+    clear() {
+        this.#directions = [];
+    }
+}
\ No newline at end of file
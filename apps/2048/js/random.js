@@ -0,0 +1,57 @@
+/**
+ * @typedef {() => number} RngFunc A function that returns a random number in the range [0, 1)
+ */
+
+/**
+ * Randomly select an item from the given array
+ * @template T
+ * @param {T[]} items The array of items
+ * @param {RngFunc} rng [optional] The random number generator function, defaulted to Math.random
+ * @returns {T|undefined} The randomly selected item or 'undefined' if the array is empty
+ */
+const randomItem = (items, rng = Math.random) => {
+    return items.length > 0 ? items[randomIdx(items, rng)] : undefined;
+}
+
+/**
+ * Randomly select an index within the given array
+ * @template T
+ * @param {T[]} items The array of items
+ * @param {RngFunc} rng [optional] The random number generator function, defaulted to Math.random
+ * @returns {number} The randomly selected index or -1 if the array is empty
+ */
+const randomIdx = (items, rng = Math.random) => {
+    if (items.length === 0) {
+        return -1;
+    }
+    return Math.floor(rng() * items.length);
+}
+
+/**
+ * Randomly select an item from the given list based on the given weights
+ * @template T
+ * @param {T[]} items The list of items
+ * @param {number[]} weights The corresponding weights for every item
+ * @param {RngFunc} rng [optional] The random number generator function, defaulted to Math.random
+ * @returns {T|undefined} The randomly selected item or 'undefined' if the list is empty
+ * @throws {Error} If the list's length and number of weights do not match
+ */
+const randomItemWeighted = (items, weights, rng = Math.random) => {
+    if (items.length !== weights.length) {
+        throw new Error(`Invalid argument: the number of items and number of weights must match`);
+    }
+    else if (items.length === 0) {
+        return undefined;
+    }
+
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+    let randomWeight = rng() * totalWeight;
+    for (let i = 0; i < items.length; i++) {
+        randomWeight -= weights[i];
+        if (randomWeight < 0) {
+            return items[i];
+        }
+    }
+}
+
+export { randomItem, randomIdx, randomItemWeighted };
\ No newline at end of file
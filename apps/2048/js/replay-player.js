@@ -0,0 +1,222 @@
+class ReplayPlayer {
+    /**
+     * @type {Replay}
+     */
+    #replay;
+
+    /**
+     * @type {(step: ReplayStep, index: number) => Promise<void>|void}
+     */
+    #stepHandler;
+
+    /**
+     * @type {((player: ReplayPlayer) => void) | undefined}
+     */
+    #changeListener = undefined;
+
+    /**
+     * @type {number}
+     */
+    #position = 0;
+
+    /**
+     * @type {number}
+     */
+    #speed = 1;
+
+    /**
+     * @type {boolean}
+     */
+    #playing = false;
+
+    /**
+     * @type {boolean}
+     */
+    #stepping = false;
+
+    /**
+     * @type {number|undefined}
+     */
+    #timeoutId = undefined;
+
+    /**
+     * @type {Promise<void>|undefined}
+     */
+    #pendingStep = undefined;
+
+    /**
+     * @param {Replay} replay
+     * @param {(step: ReplayStep, index: number) => Promise<void>|void} stepHandler Apply the step to the game,
+     * the next step is only scheduled once the returned promise resolves
+     */
+    constructor(replay, stepHandler) {
+        this.#replay = replay;
+        this.#stepHandler = stepHandler;
+    }
+
+    /**
+     * The delay between two steps at normal speed, in milliseconds
+     */
+    static get BASE_INTERVAL() {
+        return 500;
+    }
+
+    static get MIN_SPEED() {
+        return 0.25;
+    }
+
+    static get MAX_SPEED() {
+        return 8;
+    }
+
+    /**
+     * @param {((player: ReplayPlayer) => void) | undefined} listener Invoked whenever the position or the
+     * playing state changes
+     */
+    setOnChangeListener(listener) {
+        this.#changeListener = listener;
+    }
+
+    /**
+     * @returns {Replay}
+     */
+    getReplay() {
+        return this.#replay;
+    }
+
+    /**
+     * @returns {number} The number of steps played so far
+     */
+    getPosition() {
+        return this.#position;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getLength() {
+        return this.#replay.getLength();
+    }
+
+    /**
+     * @returns {number}
+     */
+    getSpeed() {
+        return this.#speed;
+    }
+
+    /**
+     * @param {number} speed
+     * @returns {this}
+     */
+    setSpeed(speed) {
+        this.#speed = boundValue(speed, ReplayPlayer.MIN_SPEED, ReplayPlayer.MAX_SPEED);
+        return this;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.#playing;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.#position >= this.getLength();
+    }
+
+    /**
+     * @returns {this}
+     */
+    play() {
+        if (this.#playing || this.isFinished()) {
+            return this;
+        }
+
+        this.#playing = true;
+        this.#notifyListener();
+        this.#scheduleNextStep(0);
+        return this;
+    }
+
+    /**
+     * @returns {this}
+     */
+    pause() {
+        if (!this.#playing) {
+            return this;
+        }
+
+        this.#playing = false;
+        clearTimeout(this.#timeoutId);
+        this.#timeoutId = undefined;
+        this.#notifyListener();
+        return this;
+    }
+
+    /**
+     * @returns {this}
+     */
+    togglePause() {
+        return this.#playing ? this.pause() : this.play();
+    }
+
+    /**
+     * Pause the playback and wait for the step in progress, if any, to complete
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.pause();
+        await this.#pendingStep;
+    }
+
+    /**
+     * Apply the next step of the replay
+     * @returns {Promise<boolean>} Whether a step was applied
+     */
+    async step() {
+        if (this.#stepping || this.isFinished()) {
+            return false;
+        }
+
+        this.#stepping = true;
+        const index = this.#position;
+        this.#pendingStep = Promise.resolve(this.#stepHandler(this.#replay.getSteps()[index], index))
+            .catch(err => console.error('Replay step error:', err));
+        await this.#pendingStep;
+
+        this.#pendingStep = undefined;
+        this.#position = index + 1;
+        this.#stepping = false;
+
+        if (this.isFinished()) {
+            this.#playing = false;
+        }
+        this.#notifyListener();
+        return true;
+    }
+
+    /**
+     * @param {number} delay
+     */
+    #scheduleNextStep(delay) {
+        this.#timeoutId = setTimeout(async () => {
+            this.#timeoutId = undefined;
+            if (!this.#playing) {
+                return;
+            }
+
+            await this.step();
+            if (this.#playing) {
+                this.#scheduleNextStep(ReplayPlayer.BASE_INTERVAL / this.#speed);
+            }
+        }, delay);
+    }
+
+    #notifyListener() {
+        this.#changeListener?.(this);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,746 @@
+const SAVE_STATE_KEY = 'save';
+const SAVE_BACKUP_STATE_KEY = 'save-backup';
+
+/**
+ * The saved state of one game, as stored in a save slot
+ */
+class GameSave {
+    /**
+     * @type {number}
+     */
+    score = 0;
+
+    /**
+     * As written by `Board.toJson()`
+     * @type {{rowCount: number, columnCount: number, values: (number|object|null)[]}}
+     */
+    board;
+
+    /**
+     * @type {string[]}
+     */
+    mergeds = [];
+
+    /**
+     * @type {string|undefined}
+     */
+    spawned = undefined;
+
+    /**
+     * As written by `GameHistory.toJson()`
+     * @type {object|undefined}
+     */
+    history = undefined;
+
+    /**
+     * @type {number|undefined}
+     */
+    rng = undefined;
+
+    /**
+     * As written by `Replay.toJson()`
+     * @type {object|undefined}
+     */
+    replay = undefined;
+
+    /**
+     * The play time, in milliseconds
+     * @type {number}
+     */
+    elapsed = 0;
+
+    /**
+     * Whether the game has been submitted to the leaderboard
+     * @type {boolean}
+     */
+    recorded = false;
+
+    /**
+     * Whether the target has been reached
+     * @type {boolean}
+     */
+    won = false;
+
+    /**
+     * Whether the player kept playing after reaching the target
+     * @type {boolean}
+     */
+    continued = false;
+
+    /**
+     * As written by `AchievementEngine.gameToJson()`
+     * @type {object|undefined}
+     */
+    achievements = undefined;
+}
+
+/**
+ * Every saved game in a single versioned document, grouped in named slots. Within a slot, games are saved separately
+ * for every board size, merge variant and game mode, identified by a configuration key. Each page plays its own slot,
+ * the current slot of the document being only the one a new page starts with. Some games, such as the daily
+ * challenge which can only be played once, are shared by every slot instead. The settings, the lifetime stats and
+ * the records kept for every configuration, such as the best score, are saved in the document as well. Documents
+ * written by earlier versions, down to the separate keys used before the document held them, are migrated when they
+ * are read.
+ */
+class SaveDocument {
+    static get VERSION() {
+        return 2;
+    }
+
+    static get DEFAULT_SLOT() {
+        return 'Default';
+    }
+
+    /**
+     * The separate keys saved before the document existed, by field of the game save. Games of other configurations
+     * used the same keys followed by their configuration key, e.g. `board-3x3`.
+     */
+    static #LEGACY_GAME_KEYS = Object.freeze({
+        score: 'score',
+        board: 'board',
+        mergeds: 'mergeds',
+        spawned: 'spawned',
+        history: 'history',
+        rng: 'rng',
+        replay: 'replay',
+        elapsed: 'elapsed',
+        recorded: 'recorded',
+        won: 'won',
+        continued: 'continued',
+        achievements: 'game-achievements',
+    });
+
+    static #LEGACY_AUDIO_KEY = 'audio';
+
+    /**
+     * The states saved apart from the games, by the key each one was saved under before the document held them, with
+     * whether a state is valid
+     * @type {Object<string, (state: *) => boolean>}
+     */
+    static #STATES = Object.freeze({
+        size: SaveDocument.#isRecord,
+        // A single target was saved before merge variants were introduced
+        target: state => SaveDocument.#isRecord(state) || Number.isFinite(state),
+        variant: SaveDocument.#isString,
+        mode: SaveDocument.#isRecord,
+        daily: SaveDocument.#isRecord,
+        practice: SaveDocument.#isString,
+        solver: SaveDocument.#isRecord,
+        controls: SaveDocument.#isRecord,
+        accessibility: SaveDocument.#isRecord,
+        theme: SaveDocument.#isRecord,
+        'animation-speed': SaveDocument.#isString,
+        stats: SaveDocument.#isRecord,
+        achievements: SaveDocument.#isRecord,
+        'versus-garbage': SaveDocument.#isRecord,
+    });
+
+    /**
+     * The records kept for every configuration, by the key each one was saved under before the document held them,
+     * with whether a record is valid. Configurations other than the default one used the same keys followed by their
+     * configuration key, e.g. `best-3x3`.
+     * @type {Object<string, (record: *) => boolean>}
+     */
+    static #RECORDS = Object.freeze({
+        best: record => Number.isFinite(record) && record >= 0,
+        leaderboard: Array.isArray,
+    });
+
+    /**
+     * The separate keys the records were saved under, by name
+     */
+    static #LEGACY_RECORD_KEYS = Object.freeze({
+        best: 'best',
+        leaderboard: 'leaderboard',
+    });
+
+    /**
+     * The migration at index `n` turns a document of version `n` into one of version `n + 1`, given the separate keys
+     * saved before the document held their values
+     * @type {((data: object, keys: Object<string, string>) => object)[]}
+     */
+    static #MIGRATIONS = Object.freeze([
+        // 0 → 1: the separate keys of every game and the audio settings become a document with a single slot
+        (data, keys) => {
+            /**
+             * @type {Object<string, object>}
+             */
+            const games = {};
+            /**
+             * @type {Object<string, object>}
+             */
+            const shared = {};
+            for (const [key, value] of Object.entries(keys)) {
+                const [field, configKey] = SaveDocument.#parseLegacyKey(key, SaveDocument.#LEGACY_GAME_KEYS) ?? [];
+                if (field) {
+                    // The configuration key ends with the key of the game mode, which for daily challenges starts
+                    // with the mode type followed by the date
+                    const isDaily = configKey.split('-').some(part => part.startsWith(GameModeType.DAILY));
+                    const target = isDaily ? shared : games;
+                    target[configKey] ??= {};
+                    target[configKey][field] = SaveDocument.#parseLegacyValue(field, value);
+                }
+            }
+            const audio = keys[SaveDocument.#LEGACY_AUDIO_KEY];
+            return {
+                version: 1,
+                currentSlot: SaveDocument.DEFAULT_SLOT,
+                slots: { [SaveDocument.DEFAULT_SLOT]: games },
+                shared,
+                audio: audio ? SaveDocument.#parseLegacyValue('audio', audio) : undefined,
+            };
+        },
+        // 1 → 2: the separate keys of the settings, the stats and the records of every configuration join the games
+        (data, keys) => {
+            /**
+             * @type {Object<string, *>}
+             */
+            const states = {};
+            /**
+             * @type {Object<string, Object<string, *>>}
+             */
+            const records = {};
+            for (const [key, value] of Object.entries(keys)) {
+                if (Object.hasOwn(SaveDocument.#STATES, key)) {
+                    states[key] = SaveDocument.#parseLegacyState(value, SaveDocument.#STATES[key]);
+                }
+                const [name, configKey] = SaveDocument.#parseLegacyKey(key, SaveDocument.#LEGACY_RECORD_KEYS) ?? [];
+                if (name) {
+                    records[configKey] ??= {};
+                    records[configKey][name] = SaveDocument.#parseLegacyState(value, SaveDocument.#RECORDS[name]);
+                }
+            }
+            return { ...data, version: 2, states, records };
+        },
+    ]);
+
+    /**
+     * @type {string}
+     */
+    #currentSlot = SaveDocument.DEFAULT_SLOT;
+
+    /**
+     * The games of every slot, by configuration key
+     * @type {Map<string, Map<string, GameSave>>}
+     */
+    #slots = new Map([[SaveDocument.DEFAULT_SLOT, new Map()]]);
+
+    /**
+     * The games shared by every slot, by configuration key
+     * @type {Map<string, GameSave>}
+     */
+    #sharedGames = new Map();
+
+    /**
+     * @type {{volume: number, muted: boolean}|undefined}
+     */
+    #audio = undefined;
+
+    /**
+     * The states saved apart from the games, by name
+     * @type {Map<string, *>}
+     */
+    #states = new Map();
+
+    /**
+     * The records of every configuration, by configuration key then by name
+     * @type {Map<string, Object<string, *>>}
+     */
+    #records = new Map();
+
+    /**
+     * The separate keys whose values made it into the document, removed once it is stored
+     * @type {string[]}
+     */
+    #migratedKeys = [];
+
+    /**
+     * Read the document from the storage, migrating the separate keys saved before it held their values. A document
+     * that cannot be read, e.g. one written by a newer version, is copied to a backup key and replaced by an empty one.
+     * The games, states and records that do not pass validation are dropped.
+     * @param {Storage} storage
+     * @returns {SaveDocument}
+     */
+    static load(storage) {
+        const json = storage.getItem(SAVE_STATE_KEY);
+        // Only the separate keys are of version 0, a stored document always has a version
+        const data = json === null ? { version: 0 } : SaveDocument.#parse(json);
+        const keys = data && data.version < SaveDocument.VERSION ? SaveDocument.#readLegacyKeys(storage) : {};
+        const saveDocument = data && SaveDocument.#fromData(data, keys);
+        if (!saveDocument) {
+            if (json !== null) {
+                console.warn(`The unreadable save is kept as "${SAVE_BACKUP_STATE_KEY}".`);
+                storage.setItem(SAVE_BACKUP_STATE_KEY, json);
+            }
+            return new SaveDocument();
+        }
+
+        // Keys left out, such as the ones of a game that does not pass validation, are kept where they are
+        saveDocument.#migratedKeys = Object.keys(keys).filter(key => saveDocument.#isMigrated(key, data.version));
+        return saveDocument;
+    }
+
+    /**
+     * Store the document if it holds the values of separate keys saved before, so that they can be removed
+     * @param {Storage} storage
+     */
+    static migrate(storage) {
+        const saveDocument = SaveDocument.load(storage);
+        if (saveDocument.#migratedKeys.length > 0) {
+            saveDocument.#store(storage);
+        }
+    }
+
+    /**
+     * Read the document from the storage, update it and store it back, removing the separate keys it was built from
+     * @param {Storage} storage
+     * @param {(saveDocument: SaveDocument) => void} update
+     */
+    static update(storage, update) {
+        const saveDocument = SaveDocument.load(storage);
+        update(saveDocument);
+        saveDocument.#store(storage);
+    }
+
+    /**
+     * @param {string} json
+     * @returns {SaveDocument} An empty document if the JSON cannot be read
+     */
+    static fromJson(json) {
+        const data = SaveDocument.#parse(json);
+        return (data && SaveDocument.#fromData(data)) ?? new SaveDocument();
+    }
+
+    /**
+     * @param {string} json
+     * @returns {object|undefined} The data of the document, undefined if the JSON is not a save document
+     */
+    static #parse(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        }
+        catch (e) {
+            console.warn('The save cannot be read.', e);
+            return undefined;
+        }
+        // Only the separate keys found by `load()` are of version 0, a stored document always has a version
+        if (!SaveDocument.#isRecord(data) || !Number.isInteger(data.version) || data.version < 1) {
+            console.warn('The save is not a save document.');
+            return undefined;
+        }
+        return data;
+    }
+
+    /**
+     * @param {Storage} storage
+     * @returns {Object<string, string>} The separate keys saved before the document held their values
+     */
+    static #readLegacyKeys(storage) {
+        /**
+         * @type {Object<string, string>}
+         */
+        const keys = {};
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key === SaveDocument.#LEGACY_AUDIO_KEY || Object.hasOwn(SaveDocument.#STATES, key)
+                || SaveDocument.#parseLegacyKey(key, SaveDocument.#LEGACY_GAME_KEYS)
+                || SaveDocument.#parseLegacyKey(key, SaveDocument.#LEGACY_RECORD_KEYS)) {
+                keys[key] = storage.getItem(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * @param {object} data
+     * @param {Object<string, string>} keys The separate keys saved before the document held their values
+     * @returns {SaveDocument|undefined} Undefined if the data is of a newer version or cannot be migrated
+     */
+    static #fromData(data, keys = {}) {
+        let version = data.version;
+        if (version > SaveDocument.VERSION) {
+            console.warn(`The save version ${version} is newer than this game.`);
+            return undefined;
+        }
+        try {
+            while (version < SaveDocument.VERSION) {
+                data = SaveDocument.#MIGRATIONS[version](data, keys);
+                version++;
+            }
+        }
+        catch (e) {
+            console.warn(`The save cannot be migrated from version ${version}.`, e);
+            return undefined;
+        }
+
+        const saveDocument = new SaveDocument();
+        saveDocument.#slots.clear();
+        const slots = SaveDocument.#isRecord(data.slots) ? data.slots : {};
+        for (const [slot, games] of Object.entries(slots)) {
+            if (SaveDocument.#isRecord(games)) {
+                saveDocument.#slots.set(slot, SaveDocument.#validateGames(games, `slot "${slot}"`));
+            }
+            else {
+                console.warn(`The slot "${slot}" is invalid, starting over.`);
+            }
+        }
+        if (SaveDocument.#isRecord(data.shared)) {
+            saveDocument.#sharedGames = SaveDocument.#validateGames(data.shared, 'the shared games');
+        }
+        const currentSlot = typeof data.currentSlot === 'string' ? data.currentSlot : SaveDocument.DEFAULT_SLOT;
+        saveDocument.setCurrentSlot(currentSlot);
+        if (SaveDocument.#isRecord(data.audio) && typeof data.audio.volume === 'number') {
+            saveDocument.#audio = { volume: data.audio.volume, muted: !!data.audio.muted };
+        }
+        const states = SaveDocument.#isRecord(data.states) ? data.states : {};
+        for (const [name, state] of Object.entries(states)) {
+            if (Object.hasOwn(SaveDocument.#STATES, name) && SaveDocument.#STATES[name](state)) {
+                saveDocument.#states.set(name, state);
+            }
+            else {
+                console.warn(`The saved ${name} is invalid, starting over.`);
+            }
+        }
+        const records = SaveDocument.#isRecord(data.records) ? data.records : {};
+        for (const [configKey, configRecords] of Object.entries(records)) {
+            for (const [name, record] of Object.entries(SaveDocument.#isRecord(configRecords) ? configRecords : {})) {
+                if (Object.hasOwn(SaveDocument.#RECORDS, name) && SaveDocument.#RECORDS[name](record)) {
+                    saveDocument.setRecord(configKey, name, record);
+                }
+                else {
+                    console.warn(`The saved ${name} of "${configKey}" is invalid, starting over.`);
+                }
+            }
+        }
+        return saveDocument;
+    }
+
+    /**
+     * @param {Object<string, object>} games By configuration key
+     * @param {string} location Where the games are saved, for the warnings
+     * @returns {Map<string, GameSave>} The valid games, the others being dropped
+     */
+    static #validateGames(games, location) {
+        const validGames = new Map();
+        for (const [configKey, game] of Object.entries(games)) {
+            const save = SaveDocument.#validateGame(game);
+            if (save) {
+                validGames.set(configKey, save);
+            }
+            else {
+                console.warn(`The save of "${configKey}" in ${location} is invalid, starting over.`);
+            }
+        }
+        return validGames;
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean} Whether the value is a plain object, as opposed to null, an array or a primitive
+     */
+    static #isRecord(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static #isString(value) {
+        return typeof value === 'string';
+    }
+
+    /**
+     * @param {string} key
+     * @param {Object<string, string>} legacyKeys The legacy keys of the default configuration, by field
+     * @returns {[string, string]|undefined} The field and the configuration key, empty for the default configuration,
+     * or undefined if the key is none of the legacy keys
+     */
+    static #parseLegacyKey(key, legacyKeys) {
+        for (const [field, legacyKey] of Object.entries(legacyKeys)) {
+            if (key === legacyKey) {
+                return [field, ''];
+            }
+            if (key.startsWith(`${legacyKey}-`)) {
+                return [field, key.slice(legacyKey.length + 1)];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * @param {string} field
+     * @param {string} value As written by `setState()`
+     * @returns {*} Undefined if the value cannot be read, left to the validation
+     */
+    static #parseLegacyValue(field, value) {
+        switch (field) {
+            case 'spawned':
+                return value;
+            case 'recorded':
+            case 'won':
+            case 'continued':
+                return value === 'true';
+            default:
+                try {
+                    return JSON.parse(value);
+                }
+                catch (e) {
+                    console.warn(`The saved ${field} cannot be read.`, e);
+                    return undefined;
+                }
+        }
+    }
+
+    /**
+     * @param {string} value As written by `setState()`, which saved strings as they were and anything else as JSON
+     * @param {(value: *) => boolean} isValid
+     * @returns {*} Undefined if the value is not valid, left to the validation
+     */
+    static #parseLegacyState(value, isValid) {
+        try {
+            const state = JSON.parse(value);
+            if (isValid(state)) {
+                return state;
+            }
+        }
+        catch (e) {
+            // Saved as a string
+        }
+        return isValid(value) ? value : undefined;
+    }
+
+    /**
+     * @param {object} data
+     * @returns {GameSave|undefined} The save with its missing optional fields filled in, undefined if it is invalid
+     */
+    static #validateGame(data) {
+        const board = data?.board;
+        const isCount = count => Number.isInteger(count) && count > 0;
+        if (!board || !isCount(board.rowCount) || !isCount(board.columnCount)
+            || !Array.isArray(board.values) || board.values.length !== board.rowCount * board.columnCount) {
+            return undefined;
+        }
+
+        const save = new GameSave();
+        save.board = board;
+        if (typeof data.score !== 'undefined') {
+            if (!Number.isFinite(data.score) || data.score < 0) {
+                return undefined;
+            }
+            save.score = data.score;
+        }
+        if (typeof data.mergeds !== 'undefined') {
+            if (!Array.isArray(data.mergeds) || !data.mergeds.every(point => typeof point === 'string')) {
+                return undefined;
+            }
+            save.mergeds = data.mergeds;
+        }
+        if (typeof data.spawned !== 'undefined' && typeof data.spawned !== 'string') {
+            return undefined;
+        }
+        save.spawned = data.spawned;
+        for (const field of ['history', 'replay', 'achievements']) {
+            if (typeof data[field] !== 'undefined' && (typeof data[field] !== 'object' || data[field] === null)) {
+                return undefined;
+            }
+            save[field] = data[field];
+        }
+        save.rng = Number.isFinite(data.rng) ? data.rng : undefined;
+        save.elapsed = Number.isFinite(data.elapsed) ? Math.max(data.elapsed, 0) : 0;
+        save.recorded = data.recorded === true;
+        save.won = data.won === true;
+        save.continued = data.continued === true;
+        return save;
+    }
+
+    /**
+     * @returns {string} The slot played last, which a new page starts with
+     */
+    getCurrentSlot() {
+        return this.#currentSlot;
+    }
+
+    /**
+     * @param {string} slot Created empty if it does not exist yet
+     */
+    setCurrentSlot(slot) {
+        this.#getSlotGames(slot);
+        this.#currentSlot = slot;
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    getSlots() {
+        return [...this.#slots.keys()];
+    }
+
+    /**
+     * Delete the slot and its games. The last slot left cannot be deleted. If the current slot is deleted, the first
+     * slot left becomes the current one.
+     * @param {string} slot
+     * @returns {boolean} Whether the slot was deleted
+     */
+    deleteSlot(slot) {
+        if (this.#slots.size <= 1 || !this.#slots.delete(slot)) {
+            return false;
+        }
+        if (this.#currentSlot === slot) {
+            this.#currentSlot = this.getSlots()[0];
+        }
+        return true;
+    }
+
+    /**
+     * @param {string|undefined} slot Undefined for the games shared by every slot
+     * @param {string} configKey
+     * @returns {GameSave|undefined}
+     */
+    getGame(slot, configKey) {
+        const games = typeof slot === 'undefined' ? this.#sharedGames : this.#slots.get(slot);
+        return games?.get(configKey);
+    }
+
+    /**
+     * @param {string|undefined} slot Undefined for the games shared by every slot. Created if it does not exist yet,
+     * e.g. when another page deleted it in the meantime.
+     * @param {string} configKey
+     * @param {GameSave|undefined} save Undefined to delete the game
+     */
+    setGame(slot, configKey, save) {
+        const games = typeof slot === 'undefined' ? this.#sharedGames : this.#getSlotGames(slot);
+        if (save) {
+            games.set(configKey, save);
+        }
+        else {
+            games.delete(configKey);
+        }
+    }
+
+    /**
+     * @returns {{volume: number, muted: boolean}|undefined}
+     */
+    getAudio() {
+        return this.#audio;
+    }
+
+    /**
+     * @param {{volume: number, muted: boolean}} audio
+     */
+    setAudio(audio) {
+        this.#audio = audio;
+    }
+
+    /**
+     * @param {string} name The key the state was saved under before the document held it, e.g. `THEME_STATE_KEY`
+     * @returns {*} Undefined if the state has never been saved
+     */
+    getState(name) {
+        return this.#states.get(name);
+    }
+
+    /**
+     * @param {string} name The key the state was saved under before the document held it, e.g. `THEME_STATE_KEY`
+     * @param {*} state Any value written as is by `JSON.stringify()`, undefined to delete the state
+     */
+    setState(name, state) {
+        if (typeof state === 'undefined') {
+            this.#states.delete(name);
+        }
+        else {
+            this.#states.set(name, state);
+        }
+    }
+
+    /**
+     * @param {string} configKey
+     * @param {string} name The key the record was saved under before the document held it, e.g. `BEST_SCORE_STATE_KEY`
+     * @returns {*} Undefined if the record has never been saved
+     */
+    getRecord(configKey, name) {
+        return this.#records.get(configKey)?.[name];
+    }
+
+    /**
+     * @param {string} configKey
+     * @param {string} name The key the record was saved under before the document held it, e.g. `BEST_SCORE_STATE_KEY`
+     * @param {*} record Any value written as is by `JSON.stringify()`, undefined to delete the record
+     */
+    setRecord(configKey, name, record) {
+        const records = { ...this.#records.get(configKey), [name]: record };
+        if (typeof record === 'undefined') {
+            delete records[name];
+        }
+        if (Object.keys(records).length > 0) {
+            this.#records.set(configKey, records);
+        }
+        else {
+            this.#records.delete(configKey);
+        }
+    }
+
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        const slots = {};
+        for (const [slot, games] of this.#slots) {
+            slots[slot] = Object.fromEntries(games);
+        }
+        return JSON.stringify({
+            version: SaveDocument.VERSION,
+            currentSlot: this.#currentSlot,
+            slots,
+            shared: Object.fromEntries(this.#sharedGames),
+            audio: this.#audio,
+            states: Object.fromEntries(this.#states),
+            records: Object.fromEntries(this.#records),
+        });
+    }
+
+    /**
+     * @param {Storage} storage The separate keys migrated into the document are removed from it
+     */
+    #store(storage) {
+        storage.setItem(SAVE_STATE_KEY, this.toJson());
+        this.#migratedKeys.forEach(key => storage.removeItem(key));
+        this.#migratedKeys = [];
+    }
+
+    /**
+     * @param {string} key One of the separate keys saved before the document held its value
+     * @param {number} version The version the document was migrated from
+     * @returns {boolean} Whether the value of the key made it into the document, e.g. not if it is invalid
+     */
+    #isMigrated(key, version) {
+        if (Object.hasOwn(SaveDocument.#STATES, key)) {
+            return version < 2 && this.#states.has(key);
+        }
+        const [name, recordConfigKey] = SaveDocument.#parseLegacyKey(key, SaveDocument.#LEGACY_RECORD_KEYS) ?? [];
+        if (name) {
+            return version < 2 && typeof this.getRecord(recordConfigKey, name) !== 'undefined';
+        }
+        if (version >= 1) {
+            return false;
+        }
+        if (key === SaveDocument.#LEGACY_AUDIO_KEY) {
+            return !!this.#audio;
+        }
+        const [, configKey] = SaveDocument.#parseLegacyKey(key, SaveDocument.#LEGACY_GAME_KEYS);
+        return !!(this.getGame(SaveDocument.DEFAULT_SLOT, configKey) ?? this.getGame(undefined, configKey));
+    }
+
+    /**
+     * @param {string} slot Created empty if it does not exist yet
+     * @returns {Map<string, GameSave>}
+     */
+    #getSlotGames(slot) {
+        if (!this.#slots.has(slot)) {
+            this.#slots.set(slot, new Map());
+        }
+        return this.#slots.get(slot);
+    }
+}
\ No newline at end of file
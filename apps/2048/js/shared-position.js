@@ -0,0 +1,116 @@
+/**
+ * A board, its score and its merge variant packed into a URL-safe code so that positions can be shared as links
+ */
+class SharedPosition {
+    /**
+     * @type {Board}
+     */
+    #board;
+
+    /**
+     * @type {number}
+     */
+    #score;
+
+    /**
+     * @type {string}
+     */
+    #variantId;
+
+    /**
+     * @param {Board} board
+     * @param {number} score
+     * @param {string} variantId
+     */
+    constructor(board, score, variantId) {
+        this.#board = board;
+        this.#score = score;
+        this.#variantId = variantId;
+    }
+
+    /**
+     * @param {string} code
+     * @returns {SharedPosition}
+     * @throws {Error} If the code is malformed
+     */
+    static decode(code) {
+        const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+        const [variantId, score, rowCount, columnCount, ...values] = JSON.parse(atob(base64));
+        const isValid = typeof variantId === 'string'
+            && Number.isInteger(score) && score >= 0
+            && Number.isInteger(rowCount) && rowCount > 0
+            && Number.isInteger(columnCount) && columnCount > 0
+            && values.length === rowCount * columnCount;
+        if (!isValid) {
+            throw new Error('Invalid argument: the shared position is malformed');
+        }
+
+        const variant = MergeVariant.byId(variantId);
+        if (!variant) {
+            throw new Error(`Invalid argument: unknown merge variant "${variantId}"`);
+        }
+        const numbers = values.map(value => typeof value === 'object' && value !== null ? value.value : value);
+        const producibleValues = variant.getProducibleValues(Math.max(0, ...numbers.filter(Number.isSafeInteger)));
+        if (!values.every(value => value === 0 || SharedPosition.#isProducible(value, producibleValues))) {
+            throw new Error(`Invalid argument: the shared position holds blocks the "${variantId}" variant cannot make`);
+        }
+
+        // Empty slots are encoded as 0 which is shorter than null
+        const board = Board.fromJson(JSON.stringify({ rowCount, columnCount, values: values.map(value => value || null) }));
+        return new SharedPosition(board, score, variantId);
+    }
+
+    /**
+     * @param {*} value An encoded block
+     * @param {Set<number>} producibleValues
+     * @returns {boolean} Whether the value is a block that can appear on the board of the variant
+     */
+    static #isProducible(value, producibleValues) {
+        if (typeof value === 'number') {
+            return producibleValues.has(value);
+        }
+        if (typeof value !== 'object' || value === null) {
+            return false;
+        }
+
+        switch (value.kind) {
+            case BlockKind.STONE:
+            case BlockKind.WILDCARD:
+                return true;
+            case BlockKind.BOMB:
+                return producibleValues.has(value.value);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * @returns {Board}
+     */
+    getBoard() {
+        return this.#board;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getScore() {
+        return this.#score;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getVariantId() {
+        return this.#variantId;
+    }
+
+    /**
+     * @returns {string} The base64url code of the position, without padding
+     */
+    encode() {
+        const { rowCount, columnCount, values } = JSON.parse(this.#board.toJson());
+        const data = [this.#variantId, this.#score, rowCount, columnCount, ...values.map(value => value ?? 0)];
+        return btoa(JSON.stringify(data)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+}
\ No newline at end of file
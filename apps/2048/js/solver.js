@@ -0,0 +1,342 @@
+class HeuristicWeights {
+    /**
+     * Reward rows and columns whose values only increase or only decrease
+     * @type {number}
+     */
+    monotonicity = 1;
+
+    /**
+     * Reward boards with more empty slots
+     * @type {number}
+     */
+    emptyCells = 2.7;
+
+    /**
+     * Penalize large value differences between neighbouring blocks
+     * @type {number}
+     */
+    smoothness = 0.1;
+}
+
+class BoardEvaluator {
+    /**
+     * @type {HeuristicWeights}
+     */
+    #weights;
+
+    /**
+     * @param {HeuristicWeights} weights
+     */
+    constructor(weights = new HeuristicWeights()) {
+        this.#weights = { ...weights };
+    }
+
+    /**
+     * @returns {HeuristicWeights}
+     */
+    getWeights() {
+        return { ...this.#weights };
+    }
+
+    /**
+     * @param {Board} board
+     * @returns {number} The heuristic score of the board, the higher the better
+     */
+    evaluate(board) {
+        const ranks = this.#computeRanks(board);
+        const rowCount = board.getRowCount();
+        const columnCount = board.getColumnCount();
+        const emptyCells = board.getSize() - board.getBlockCount();
+
+        return this.#weights.monotonicity * this.#computeMonotonicity(ranks, rowCount, columnCount)
+            + this.#weights.emptyCells * emptyCells
+            + this.#weights.smoothness * this.#computeSmoothness(ranks, rowCount, columnCount);
+    }
+
+    /**
+     * @param {Board} board
+     * @returns {number[][]} The log2 of every block value, 0 for empty slots
+     */
+    #computeRanks(board) {
+        const ranks = [];
+        for (let i = 0; i < board.getRowCount(); i++) {
+            const row = [];
+            for (let j = 0; j < board.getColumnCount(); j++) {
+                const value = board.blockAt(i, j)?.getValue();
+                row.push(value ? Math.log2(value) : 0);
+            }
+            ranks.push(row);
+        }
+        return ranks;
+    }
+
+    /**
+     * @param {number[][]} ranks
+     * @param {number} rowCount
+     * @param {number} columnCount
+     * @returns {number} A non-positive score, 0 if every line is monotonic
+     */
+    #computeMonotonicity(ranks, rowCount, columnCount) {
+        let score = 0;
+        for (let i = 0; i < rowCount; i++) {
+            score -= this.#computeLinePenalty(ranks[i]);
+        }
+        for (let j = 0; j < columnCount; j++) {
+            score -= this.#computeLinePenalty(ranks.map(row => row[j]));
+        }
+        return score;
+    }
+
+    /**
+     * @param {number[]} line
+     * @returns {number} The smallest of the increasing and decreasing penalties
+     */
+    #computeLinePenalty(line) {
+        let increasing = 0;
+        let decreasing = 0;
+        for (let k = 1; k < line.length; k++) {
+            const diff = line[k] - line[k - 1];
+            if (diff > 0) {
+                decreasing += diff;
+            }
+            else {
+                increasing -= diff;
+            }
+        }
+        return Math.min(increasing, decreasing);
+    }
+
+    /**
+     * @param {number[][]} ranks
+     * @param {number} rowCount
+     * @param {number} columnCount
+     * @returns {number} A non-positive score, 0 if all neighbouring blocks are equal
+     */
+    #computeSmoothness(ranks, rowCount, columnCount) {
+        let score = 0;
+        for (let i = 0; i < rowCount; i++) {
+            for (let j = 0; j < columnCount; j++) {
+                const rank = ranks[i][j];
+                if (rank === 0) {
+                    continue;
+                }
+
+                if (j + 1 < columnCount && ranks[i][j + 1] !== 0) {
+                    score -= Math.abs(rank - ranks[i][j + 1]);
+                }
+                if (i + 1 < rowCount && ranks[i + 1][j] !== 0) {
+                    score -= Math.abs(rank - ranks[i + 1][j]);
+                }
+            }
+        }
+        return score;
+    }
+}
+
+/**
+ * @typedef {object} SolverResult
+ * @property {Direction[keyof typeof Direction]} direction
+ * @property {number} score
+ */
+
+class ExpectimaxSolver {
+    /**
+     * Chance branches less likely than this are evaluated statically instead of being searched
+     */
+    static get MIN_PROBABILITY() {
+        return 0.0001;
+    }
+
+    /**
+     * Subtracted from the evaluation of a board where no move is possible
+     */
+    static get GAME_OVER_PENALTY() {
+        return 10000;
+    }
+
+    /**
+     * @type {BoardTraversalStrategyFactory}
+     */
+    #strategyFactory;
+
+    /**
+     * @type {StatefulBoardOperation}
+     */
+    #operation;
+
+    /**
+     * @type {Block[]}
+     */
+    #spawnedBlocks;
+
+    /**
+     * @type {number[]}
+     */
+    #spawnedProbabilities;
+
+    /**
+     * @type {BoardEvaluator}
+     */
+    #evaluator;
+
+    /**
+     * @type {number}
+     */
+    #depth;
+
+    /**
+     * @type {Map<string, number>}
+     */
+    #cache = new Map();
+
+    /**
+     * @param {BoardTraversalStrategyFactory} strategyFactory
+     * @param {StatefulBoardOperation} operation An operation dedicated to the solver as it is prepared without listener
+     * @param {Block[]} spawnedBlocks
+     * @param {number[]} spawnedWeights
+     * @param {BoardEvaluator} evaluator
+     * @param {number} depth The number of moves to look ahead
+     */
+    constructor(strategyFactory, operation, spawnedBlocks, spawnedWeights, evaluator = new BoardEvaluator(), depth = 2) {
+        if (spawnedBlocks.length !== spawnedWeights.length) {
+            throw new Error(`Invalid argument: the number of blocks and number of weights must match`);
+        }
+
+        const totalWeight = spawnedWeights.reduce((a, b) => a + b, 0);
+        this.#strategyFactory = strategyFactory;
+        this.#operation = operation;
+        this.#spawnedBlocks = spawnedBlocks;
+        this.#spawnedProbabilities = spawnedWeights.map(weight => weight / totalWeight);
+        this.#evaluator = evaluator;
+        this.#depth = lowerBoundValue(depth, 1);
+    }
+
+    /**
+     * @returns {number}
+     */
+    getDepth() {
+        return this.#depth;
+    }
+
+    /**
+     * @returns {BoardEvaluator}
+     */
+    getEvaluator() {
+        return this.#evaluator;
+    }
+
+    /**
+     * @param {Board} board The board to search from, left untouched
+     * @returns {SolverResult|undefined} The best move or undefined if no move is possible
+     */
+    findBestMove(board) {
+        let best = undefined;
+        for (const [direction, score] of this.evaluateMoves(board)) {
+            if (!best || score > best.score) {
+                best = { direction, score };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * @param {Board} board The board to search from, left untouched
+     * @returns {Map<Direction[keyof typeof Direction], number>} The expected score of every possible move
+     */
+    evaluateMoves(board) {
+        /**
+         * @type {Map<Direction[keyof typeof Direction], number>}
+         */
+        const scores = new Map();
+        this.#cache.clear();
+
+        for (const direction of Object.values(Direction)) {
+            const movedBoard = this.#move(board, direction);
+            if (movedBoard) {
+                scores.set(direction, this.#expectChance(movedBoard, this.#depth - 1, 1));
+            }
+        }
+
+        this.#cache.clear();
+        return scores;
+    }
+
+    /**
+     * @param {Board} board
+     * @param {number} depth
+     * @param {number} probability
+     * @returns {number}
+     */
+    #expectMax(board, depth, probability) {
+        let best = -Infinity;
+        for (const direction of Object.values(Direction)) {
+            const movedBoard = this.#move(board, direction);
+            if (movedBoard) {
+                best = Math.max(best, this.#expectChance(movedBoard, depth - 1, probability));
+            }
+        }
+
+        return best === -Infinity
+            ? this.#evaluator.evaluate(board) - ExpectimaxSolver.GAME_OVER_PENALTY
+            : best;
+    }
+
+    /**
+     * @param {Board} board
+     * @param {number} depth
+     * @param {number} probability
+     * @returns {number}
+     */
+    #expectChance(board, depth, probability) {
+        const emptySlots = board.getEmptySlots();
+        if (depth <= 0 || emptySlots.length === 0 || probability < ExpectimaxSolver.MIN_PROBABILITY) {
+            return this.#evaluator.evaluate(board);
+        }
+
+        const key = `${depth}|${this.#computeKey(board)}`;
+        const cached = this.#cache.get(key);
+        if (typeof cached !== 'undefined') {
+            return cached;
+        }
+
+        let expected = 0;
+        for (const slot of emptySlots) {
+            for (let k = 0; k < this.#spawnedBlocks.length; k++) {
+                const slotProbability = this.#spawnedProbabilities[k] / emptySlots.length;
+                board.setBlockAt(slot.row(), slot.column(), this.#spawnedBlocks[k]);
+                expected += slotProbability * this.#expectMax(board, depth, probability * slotProbability);
+                board.removeBlockAt(slot.row(), slot.column());
+            }
+        }
+
+        this.#cache.set(key, expected);
+        return expected;
+    }
+
+    /**
+     * @param {Board} board
+     * @param {Direction[keyof typeof Direction]} direction
+     * @returns {Board|undefined} The moved copy of the board or undefined if no block can move
+     */
+    #move(board, direction) {
+        const strategy = this.#strategyFactory.create(direction);
+        const copy = Board.copy(board);
+        this.#operation.prepare();
+        const moves = strategy.execute(copy, this.#operation);
+        return moves.size !== 0 ? copy : undefined;
+    }
+
+    /**
+     * @param {Board} board
+     * @returns {string}
+     */
+    #computeKey(board) {
+        const values = [];
+        for (let i = 0; i < board.getRowCount(); i++) {
+            for (let j = 0; j < board.getColumnCount(); j++) {
+                values.push(board.blockAt(i, j)?.toString() ?? '0');
+            }
+        }
+        return values.join(',');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,84 @@
+const spectatorStatus = document.getElementById('spectator-status');
+
+const controller = new BoardController(document.getElementById('game-board'), document.getElementById('score'));
+const liveChannel = new LiveChannel();
+
+/**
+ * The tab whose board is mirrored, the last one to send a snapshot or a move
+ * @type {string|undefined}
+ */
+let followedTabId = undefined;
+
+/**
+ * Messages are handled one after the other so that every move is animated before the next one starts
+ * @type {Promise<void>}
+ */
+let pendingMessages = Promise.resolve();
+
+/**
+ * A message that cannot be shown leaves the mirrored board unknown, so the whole board is asked for again
+ * @param {(message: object) => Promise<void>} handler
+ * @returns {(message: object) => void}
+ */
+const queueMessages = (handler) => {
+    return (message) => {
+        pendingMessages = pendingMessages
+            .then(() => handler(message))
+            .catch(err => {
+                console.error('Failed to mirror the live board', err);
+                followedTabId = undefined;
+                liveChannel.post(LiveMessageType.SNAPSHOT_REQUEST);
+            });
+    };
+}
+
+/**
+ * @param {{tabId: string, board: string, score: number, variant: string}} message
+ * @returns {Promise<void>}
+ */
+const showBoard = async (message) => {
+    followedTabId = message.tabId;
+    spectatorStatus.textContent = 'Watching live';
+    const variant = MergeVariant.byId(message.variant) ?? MergeVariants.CLASSIC;
+    if (controller.getVariant() !== variant) {
+        controller.setVariant(variant);
+    }
+    await controller.load(Board.fromJson(message.board), message.score);
+}
+
+/**
+ * Animate the move like the player saw it, falling back to the sent board whenever the mirrored one has drifted away
+ * @param {{tabId: string, direction: string, spawned: string|undefined, spawnedBlock: number|object|undefined, board: string, score: number, variant: string}} message
+ * @returns {Promise<void>}
+ */
+const mirrorMove = async (message) => {
+    if (message.tabId !== followedTabId || message.variant !== controller.getVariant().getId()) {
+        await showBoard(message);
+        return;
+    }
+
+    const spawnedPoint = message.spawned ? Point.parse(message.spawned) : undefined;
+    const spawnedBlock = typeof message.spawnedBlock !== 'undefined' ? Block.fromJson(message.spawnedBlock) : undefined;
+    // A block the variant does not spawn, such as one of another kind, cannot be mirrored
+    if (spawnedBlock && !controller.getVariant().getSpawnedBlocks().includes(spawnedBlock)) {
+        await showBoard(message);
+        return;
+    }
+
+    await controller.applyMove(message.direction, spawnedPoint, spawnedBlock);
+    if (controller.getGame().getBoard().toJson() !== message.board) {
+        await showBoard(message);
+    }
+}
+
+const init = async () => {
+    followAnimationSpeed();
+    restoreTheme().theme.apply();
+    await controller.init();
+    liveChannel
+        .on(LiveMessageType.SNAPSHOT, queueMessages(showBoard))
+        .on(LiveMessageType.MOVE, queueMessages(mirrorMove));
+    liveChannel.post(LiveMessageType.SNAPSHOT_REQUEST);
+}
+
+init();
\ No newline at end of file
@@ -0,0 +1,145 @@
+const STATS_EXPORT_FILE_NAME = '2048-stats.json';
+const CHART_PADDING = 24;
+
+const resetStatsButton = document.getElementById('reset-stats-button');
+const exportStatsButton = document.getElementById('export-stats-button');
+
+/**
+ * @type {ThemePalette}
+ */
+let palette = Themes.CLASSIC.getPalette();
+
+/**
+ * @returns {GameStats}
+ */
+const loadStats = () => {
+    const savedStats = SaveDocument.load(localStorage).getState(STATS_STATE_KEY);
+    return GameStats.fromJson(savedStats ? JSON.stringify(savedStats) : null);
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {CanvasRenderingContext2D|null} The cleared context, or null if the browser cannot draw on canvases
+ */
+const clearChart = (canvas) => {
+    const context = canvas.getContext('2d');
+    if (!context) {
+        return null;
+    }
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = '12px sans-serif';
+    context.textAlign = 'center';
+    context.fillStyle = palette.text;
+    return context;
+}
+
+/**
+ * One bar per entry, labelled underneath with its key and on top with its count
+ * @param {HTMLCanvasElement} canvas
+ * @param {Map<number, number>} counts
+ */
+const drawBarChart = (canvas, counts) => {
+    const description = [...counts].map(([value, count]) => `${value}: ${count}`).join(', ');
+    canvas.setAttribute('aria-label', description || 'No data');
+    const context = clearChart(canvas);
+    if (!context || counts.size === 0) {
+        return;
+    }
+
+    const maxCount = Math.max(...counts.values());
+    const slotWidth = (canvas.width - CHART_PADDING * 2) / counts.size;
+    const chartHeight = canvas.height - CHART_PADDING * 2;
+    [...counts].forEach(([value, count], index) => {
+        const x = CHART_PADDING + index * slotWidth;
+        const barHeight = chartHeight * count / maxCount;
+        const barTop = CHART_PADDING + chartHeight - barHeight;
+        context.fillStyle = palette.tiles[value]?.background ?? palette.superTile?.background ?? palette.board;
+        context.fillRect(x + slotWidth * 0.1, barTop, slotWidth * 0.8, barHeight);
+
+        context.fillStyle = palette.text;
+        context.fillText(String(count), x + slotWidth / 2, barTop - 4);
+        context.fillText(String(value), x + slotWidth / 2, canvas.height - CHART_PADDING / 3);
+    });
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {number[]} scores From the oldest to the newest
+ */
+const drawLineChart = (canvas, scores) => {
+    canvas.setAttribute('aria-label', scores.join(', ') || 'No data');
+    const context = clearChart(canvas);
+    if (!context || scores.length === 0) {
+        return;
+    }
+
+    const maxScore = Math.max(...scores, 1);
+    const stepWidth = (canvas.width - CHART_PADDING * 2) / Math.max(scores.length - 1, 1);
+    const chartHeight = canvas.height - CHART_PADDING * 2;
+    const points = scores.map((score, index) => ({
+        x: CHART_PADDING + index * stepWidth,
+        y: CHART_PADDING + chartHeight - chartHeight * score / maxScore,
+    }));
+
+    context.strokeStyle = palette.scoreEnd;
+    context.lineWidth = 2;
+    context.beginPath();
+    points.forEach(({ x, y }, index) => index === 0 ? context.moveTo(x, y) : context.lineTo(x, y));
+    context.stroke();
+
+    context.textAlign = 'left';
+    context.fillText(`${maxScore}`, 2, CHART_PADDING - 8);
+}
+
+const renderStats = () => {
+    const stats = loadStats();
+    document.getElementById('stats-games').textContent = stats.getGameCount();
+    document.getElementById('stats-win-rate').textContent = `${Math.round(stats.getWinRate() * 100)}%`;
+    document.getElementById('stats-average-score').textContent = Math.round(stats.getAverageScore());
+    document.getElementById('stats-best-score').textContent = stats.getBestScore();
+    document.getElementById('stats-moves-per-game').textContent = Math.round(stats.getMovesPerGame());
+    document.getElementById('stats-time-played').textContent = formatDuration(stats.getTimePlayed());
+
+    drawBarChart(document.getElementById('max-value-chart'), stats.getMaxValueCounts());
+    drawBarChart(document.getElementById('merge-chart'), stats.getMergeCounts());
+    drawLineChart(document.getElementById('recent-score-chart'), stats.getRecentGames().map(record => record.score));
+}
+
+const resetStats = () => {
+    if (!confirm('Reset all the stats? This cannot be undone.')) {
+        return;
+    }
+
+    SaveDocument.update(localStorage, saveDocument => saveDocument.setState(STATS_STATE_KEY, undefined));
+    renderStats();
+}
+
+const exportStats = () => {
+    const blob = new Blob([loadStats().toJson()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = STATS_EXPORT_FILE_NAME;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+const init = () => {
+    followAnimationSpeed();
+    const { theme } = restoreTheme();
+    theme.apply();
+    palette = theme.getPalette();
+
+    renderStats();
+    resetStatsButton.addEventListener('click', resetStats);
+    exportStatsButton.addEventListener('click', exportStats);
+    // Games finished in another tab show up right away
+    window.addEventListener('storage', (evt) => {
+        if (evt.key === SAVE_STATE_KEY || evt.key === null) {
+            renderStats();
+        }
+    });
+}
+
+init();
\ No newline at end of file
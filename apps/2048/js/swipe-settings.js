@@ -0,0 +1,51 @@
+/**
+ * How swipes on the board are recognized
+ */
+class SwipeSettings {
+    /**
+     * How far, in pixels, a swipe must travel along its axis
+     * @type {number}
+     */
+    distance = 20;
+
+    /**
+     * Whether dragging the board with the mouse counts as a swipe
+     * @type {boolean}
+     */
+    mouse = false;
+
+    /**
+     * How far a swipe may stray from its axis, as the ratio of the movement across the axis to the movement along
+     * it. 1 accepts every diagonal and lets its longer side decide the direction.
+     * @type {number}
+     */
+    diagonalTolerance = 1;
+
+    /**
+     * @param {object} data Saved settings, missing or invalid fields keep their default
+     * @returns {SwipeSettings}
+     */
+    static fromJson(data) {
+        const settings = new SwipeSettings();
+        if (Number(data?.distance) > 0) {
+            settings.distance = Number(data.distance);
+        }
+        if (typeof data?.mouse === 'boolean') {
+            settings.mouse = data.mouse;
+        }
+        if (Number(data?.diagonalTolerance) > 0) {
+            settings.diagonalTolerance = Math.min(Number(data.diagonalTolerance), 1);
+        }
+        return settings;
+    }
+
+    /**
+     * @param {{x: number[], y: number[]}} detail The start and end coordinates of a swipe event
+     * @returns {boolean} Whether the swipe is straight enough to be played
+     */
+    accepts(detail) {
+        const horizontal = Math.abs(detail.x[1] - detail.x[0]);
+        const vertical = Math.abs(detail.y[1] - detail.y[0]);
+        return Math.min(horizontal, vertical) <= this.diagonalTolerance * Math.max(horizontal, vertical);
+    }
+}
\ No newline at end of file
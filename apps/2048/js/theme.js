@@ -0,0 +1,290 @@
+/**
+ * The colors of a theme. The defaults are the ones of the classic theme.
+ */
+class ThemePalette {
+    /**
+     * @type {string}
+     */
+    page = '#ffffff';
+
+    /**
+     * @type {string}
+     */
+    text = '#000000';
+
+    /**
+     * @type {string}
+     */
+    board = '#d7bfa8';
+
+    /**
+     * The empty slots of the board
+     * @type {string}
+     */
+    cell = '#bca88f';
+
+    /**
+     * The background and text colors of the tiles, from 2 to 2048
+     * @type {Record<number, {background: string, color: string}>}
+     */
+    tiles = {
+        2: { background: '#eee4da', color: '#776e65' },
+        4: { background: '#ede0c8', color: '#776e65' },
+        8: { background: '#f2b179', color: '#f9f6f2' },
+        16: { background: '#f59563', color: '#f9f6f2' },
+        32: { background: '#f67c5f', color: '#f9f6f2' },
+        64: { background: '#f65e3b', color: '#f9f6f2' },
+        128: { background: '#edcf72', color: '#f9f6f2' },
+        256: { background: '#edcc61', color: '#f9f6f2' },
+        512: { background: '#edc850', color: '#f9f6f2' },
+        1024: { background: '#edc53f', color: '#f9f6f2' },
+        2048: { background: '#edc22e', color: '#ffffff' },
+    };
+
+    /**
+     * The tiles above 2048, which keep their gradients when it is not set
+     * @type {{background: string, color: string}|undefined}
+     */
+    superTile = undefined;
+
+    /**
+     * The score goes from the start colors to the end ones as it grows
+     * @type {string}
+     */
+    scoreStart = '#000000';
+
+    /**
+     * @type {string}
+     */
+    scoreEnd = '#ffd700';
+
+    /**
+     * @type {string}
+     */
+    scoreShadowStart = '#ff9900';
+
+    /**
+     * @type {string}
+     */
+    scoreShadowEnd = '#f5493d';
+}
+
+class Theme {
+    static get CUSTOM_ID() {
+        return 'custom';
+    }
+
+    static get TILE_VALUES() {
+        return [2, 4, 8, 16, 32, 64, 128, 256, 512, 1024, 2048];
+    }
+
+    /**
+     * @type {string}
+     */
+    #id;
+
+    /**
+     * @type {string}
+     */
+    #name;
+
+    /**
+     * @type {ThemePalette}
+     */
+    #palette;
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @param {ThemePalette} palette
+     */
+    constructor(id, name, palette) {
+        this.#id = id;
+        this.#name = name;
+        this.#palette = palette;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Theme|undefined} A theme of the registry, the custom theme is not part of it
+     */
+    static byId(id) {
+        return Object.values(Themes).find(theme => theme.getId() === id);
+    }
+
+    /**
+     * @param {object} data A saved palette, the colors that are missing or invalid are taken from the classic theme
+     * @returns {Theme}
+     */
+    static custom(data) {
+        const palette = new ThemePalette();
+        const colorKeys = ['page', 'text', 'board', 'cell', 'scoreStart', 'scoreEnd', 'scoreShadowStart', 'scoreShadowEnd'];
+        for (const key of colorKeys) {
+            if (Theme.#isColor(data?.[key])) {
+                palette[key] = data[key];
+            }
+        }
+        for (const value of Theme.TILE_VALUES) {
+            const tile = data?.tiles?.[value];
+            if (Theme.#isColor(tile?.background) && Theme.#isColor(tile?.color)) {
+                palette.tiles[value] = { background: tile.background, color: tile.color };
+            }
+        }
+        if (Theme.#isColor(data?.superTile?.background) && Theme.#isColor(data?.superTile?.color)) {
+            palette.superTile = { background: data.superTile.background, color: data.superTile.color };
+        }
+        return new Theme(Theme.CUSTOM_ID, 'Custom', palette);
+    }
+
+    /**
+     * @param {string} background
+     * @returns {string} A text color that can be read on the background
+     */
+    static readableTextColor(background) {
+        const { r, g, b } = hexToRgb(background);
+        // Relative luminance, weighted as the eye perceives the channels
+        const luminance = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+        return luminance > 0.6 ? '#333333' : '#ffffff';
+    }
+
+    /**
+     * @param {unknown} value
+     * @returns {boolean}
+     */
+    static #isColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    /**
+     * @returns {string}
+     */
+    getId() {
+        return this.#id;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getName() {
+        return this.#name;
+    }
+
+    /**
+     * @returns {ThemePalette} A copy of the palette
+     */
+    getPalette() {
+        const palette = Object.assign(new ThemePalette(), this.#palette);
+        palette.tiles = Object.fromEntries(Object.entries(this.#palette.tiles).map(([value, tile]) => [value, { ...tile }]));
+        palette.superTile = this.#palette.superTile && { ...this.#palette.superTile };
+        return palette;
+    }
+
+    /**
+     * @returns {Map<string, string|undefined>} The CSS custom properties read by the styles, undefined for the ones
+     * to remove
+     */
+    getCssVariables() {
+        const palette = this.#palette;
+        const variables = new Map([
+            ['--page-background', palette.page],
+            ['--page-color', palette.text],
+            ['--board-background', palette.board],
+            ['--cell-background', palette.cell],
+            ['--tile-super-background', palette.superTile?.background],
+            ['--tile-super-color', palette.superTile?.color],
+        ]);
+        for (const value of Theme.TILE_VALUES) {
+            variables.set(`--tile-${value}-background`, palette.tiles[value].background);
+            variables.set(`--tile-${value}-color`, palette.tiles[value].color);
+        }
+        return variables;
+    }
+
+    /**
+     * Color the page with the theme
+     * @param {HTMLElement} root
+     */
+    apply(root = document.documentElement) {
+        for (const [name, value] of this.getCssVariables()) {
+            if (value) {
+                root.style.setProperty(name, value);
+            }
+            else {
+                root.style.removeProperty(name);
+            }
+        }
+        root.dataset.theme = this.#id;
+    }
+}
+
+const Themes = Object.freeze({
+    CLASSIC: new Theme('classic', 'Classic', new ThemePalette()),
+    DARK: new Theme('dark', 'Dark', Object.assign(new ThemePalette(), {
+        page: '#1e1e24',
+        text: '#e8e6e3',
+        board: '#3a3a44',
+        cell: '#4a4a56',
+        tiles: {
+            2: { background: '#5c5c6e', color: '#e8e6e3' },
+            4: { background: '#6b6580', color: '#e8e6e3' },
+            8: { background: '#8a5a44', color: '#ffffff' },
+            16: { background: '#a4553a', color: '#ffffff' },
+            32: { background: '#b8482f', color: '#ffffff' },
+            64: { background: '#c73a25', color: '#ffffff' },
+            128: { background: '#8c7a2e', color: '#ffffff' },
+            256: { background: '#a08a2a', color: '#ffffff' },
+            512: { background: '#b39a26', color: '#ffffff' },
+            1024: { background: '#c6aa22', color: '#ffffff' },
+            2048: { background: '#d9ba1e', color: '#1e1e24' },
+        },
+        scoreStart: '#e8e6e3',
+        scoreShadowStart: '#7a4f00',
+    })),
+    COLORBLIND: new Theme('colorblind', 'Colorblind safe', Object.assign(new ThemePalette(), {
+        board: '#bdbdbd',
+        cell: '#d9d9d9',
+        // Blues then oranges, every step lighter or darker than the previous one so that hue is never needed
+        tiles: {
+            2: { background: '#f7f7f7', color: '#333333' },
+            4: { background: '#deebf7', color: '#333333' },
+            8: { background: '#9ecae1', color: '#1a1a1a' },
+            16: { background: '#4292c6', color: '#ffffff' },
+            32: { background: '#08519c', color: '#ffffff' },
+            64: { background: '#08306b', color: '#ffffff' },
+            128: { background: '#fee6ce', color: '#333333' },
+            256: { background: '#fdae6b', color: '#1a1a1a' },
+            512: { background: '#f16913', color: '#ffffff' },
+            1024: { background: '#d94801', color: '#ffffff' },
+            2048: { background: '#7f2704', color: '#ffffff' },
+        },
+        scoreEnd: '#0072b2',
+        scoreShadowStart: '#e69f00',
+        scoreShadowEnd: '#d55e00',
+    })),
+    HIGH_CONTRAST: new Theme('high-contrast', 'High contrast', Object.assign(new ThemePalette(), {
+        page: '#000000',
+        text: '#ffffff',
+        board: '#000000',
+        cell: '#333333',
+        tiles: Object.fromEntries(Theme.TILE_VALUES.map(value => {
+            return [value, { background: value < 128 ? '#ffffff' : '#ffff00', color: '#000000' }];
+        })),
+        superTile: { background: '#ffff00', color: '#000000' },
+        scoreStart: '#ffffff',
+        scoreEnd: '#ffff00',
+        scoreShadowStart: '#000000',
+        scoreShadowEnd: '#000000',
+    })),
+});
+
+const THEME_STATE_KEY = 'theme';
+
+/**
+ * @returns {{theme: Theme, custom: Theme|undefined}} The chosen theme and the custom one, whether it is chosen or not
+ */
+const restoreTheme = () => {
+    const themeState = SaveDocument.load(localStorage).getState(THEME_STATE_KEY) ?? {};
+    const custom = themeState.custom ? Theme.custom(themeState.custom) : undefined;
+    const theme = themeState.id === Theme.CUSTOM_ID ? custom : Theme.byId(themeState.id);
+    return { theme: theme ?? Themes.CLASSIC, custom };
+}
\ No newline at end of file
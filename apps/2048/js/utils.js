@@ -1,54 +1,5 @@
 'use strict';
 
-/**
- * Randomly select an item from the given array
- * @template T
- * @param {T[]} items The array of items
- * @returns {T|undefined} The randomly selected item or 'undefined' if the array is empty
- */
-const randomItem = (items) => {
-    return items.length > 0 ? items[randomIdx(items)] : undefined;
-}
-
-/**
- * Randomly select an index within the given array
- * @template T
- * @param {T[]} items The array of items
- * @returns {number} The randomly selected index or -1 if the array is empty
- */
-const randomIdx = (items) => {
-    if (items.length === 0) {
-        return -1;
-    }
-    return Math.floor(Math.random() * items.length);
-}
-
-/**
- * Randomly select an item from the given list based on the given weights
- * @template T
- * @param {T[]} items The list of items
- * @param {number[]} weights The corresponding weights for every item
- * @returns {T|undefined} The randomly selected item or 'undefined' if the list is empty
- * @throws {Error} If the list's length and number of weights do not match
- */
-const randomItemWeighted = (items, weights) => {
-    if (items.length !== weights.length) {
-        throw new Error(`Invalid argument: the number of items and number of weights must match`);
-    }
-    else if (items.length === 0) {
-        return undefined;
-    }
-
-    const totalWeight = weights.reduce((a, b) => a + b, 0);
-    let randomWeight = Math.random() * totalWeight;
-    for (let i = 0; i < items.length; i++) {
-        randomWeight -= weights[i];
-        if (randomWeight < 0) {
-            return items[i];
-        }
-    }
-}
-
 class RgbColor {
     /** @type {number} */ r;
     /** @type {number} */ g;
@@ -184,6 +135,19 @@ const boundValue = (value, bound, nextBound = 0) => {
     }
 }
 
+/**
+ * Format a duration as m:ss, or h:mm:ss if it lasts an hour or more
+ * @param {number} duration The duration in milliseconds
+ * @returns {string} The formatted duration
+ */
+const formatDuration = (duration) => {
+    const totalSeconds = Math.floor(lowerBoundValue(duration, 0) / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
 /**
  * @template T
  * @param {T[]} array
@@ -258,6 +222,12 @@ class ConditionalEventListenerParams {
      * @type {((evt: HTMLElementEventMap[TEventType]) => boolean)|undefined}
      */
     eventFilter = undefined;
+
+    /**
+     * Whether the animations are skipped. The events never fire then, so the listeners run right away.
+     * @type {boolean}
+     */
+    skipAnimations = false;
 }
 
 /**
@@ -301,6 +271,14 @@ const conditionalEventListener = (params, listeners = new ConditionalEventListen
     const { elementSupplier, eventType, eventFilter } = params;
     let remaining = lowerBoundValue(params.count ?? items.length, 0);
 
+    if (params.skipAnimations) {
+        return Promise.all(items.map(async (item, index) => {
+            const element = elementSupplier(item, index);
+            await listeners.onEachItem?.(element, item, index);
+            await listeners.onEachEvent?.(element, item, index, undefined);
+        })).then(() => undefined);
+    }
+
     return new Promise((resolve, reject) => {
         if (remaining === 0) {
             resolve();
@@ -0,0 +1,127 @@
+const GARBAGE_STATE_KEY = 'versus-garbage';
+const GARBAGE_THRESHOLD_OPTIONS = [32, 64, 128, 256];
+const DEFAULT_GARBAGE_THRESHOLD = 64;
+
+const PLAYER_KEYS = Object.freeze([
+    Object.freeze({
+        w: Direction.UP,
+        s: Direction.DOWN,
+        a: Direction.LEFT,
+        d: Direction.RIGHT,
+    }),
+    Object.freeze({
+        ArrowUp: Direction.UP,
+        ArrowDown: Direction.DOWN,
+        ArrowLeft: Direction.LEFT,
+        ArrowRight: Direction.RIGHT,
+    }),
+]);
+
+const versusResult = document.getElementById('versus-result');
+const garbageCheckbox = document.getElementById('garbage-checkbox');
+const garbageThresholdSelect = document.getElementById('garbage-threshold-select');
+
+/**
+ * @type {BoardController[]}
+ */
+const controllers = [1, 2].map(player => new BoardController(
+    document.getElementById(`versus-board-${player}`),
+    document.getElementById(`score-${player}`)
+));
+
+let matchOver = false;
+
+/**
+ * Send a stone to the opponent of the given player when the garbage rule is on
+ * @param {number} player The index of the player who merged
+ * @returns {(event: GameSessionEventMap['merge']) => void}
+ */
+const createGarbageListener = (player) => {
+    return ({ result }) => {
+        if (garbageCheckbox.checked && result.block.getValue() >= Number(garbageThresholdSelect.value)) {
+            const opponent = controllers[1 - player];
+            opponent.dropObstacle().then(refreshMatch);
+        }
+    };
+}
+
+/**
+ * End the match once a board is stuck. The stuck player loses, or the higher score wins if both are stuck.
+ */
+const refreshMatch = () => {
+    if (matchOver) {
+        return;
+    }
+
+    const stuck = controllers.map(controller => controller.isStopped());
+    if (!stuck.some(Boolean)) {
+        return;
+    }
+
+    matchOver = true;
+    let winner = stuck.indexOf(false);
+    if (winner < 0) {
+        const [score1, score2] = controllers.map(controller => controller.getScore());
+        winner = score1 === score2 ? -1 : (score1 > score2 ? 0 : 1);
+    }
+    versusResult.textContent = winner < 0 ? 'DRAW!' : `PLAYER ${winner + 1} WINS!`;
+    versusResult.classList.add('show');
+}
+
+const startMatch = async () => {
+    matchOver = false;
+    versusResult.textContent = '';
+    versusResult.classList.remove('show');
+    await Promise.all(controllers.map(controller => controller.start()));
+}
+
+const saveGarbageStates = () => {
+    const garbageState = { enabled: garbageCheckbox.checked, threshold: Number(garbageThresholdSelect.value) };
+    SaveDocument.update(localStorage, saveDocument => saveDocument.setState(GARBAGE_STATE_KEY, garbageState));
+}
+
+const restoreGarbageStates = () => {
+    const garbageState = SaveDocument.load(localStorage).getState(GARBAGE_STATE_KEY) ?? {};
+    garbageCheckbox.checked = !!garbageState.enabled;
+    garbageThresholdSelect.value = GARBAGE_THRESHOLD_OPTIONS.includes(garbageState.threshold)
+        ? garbageState.threshold
+        : DEFAULT_GARBAGE_THRESHOLD;
+}
+
+const initListeners = () => {
+    document.addEventListener('keydown', (e) => {
+        if (matchOver) {
+            return;
+        }
+
+        // Letters are matched case-insensitively so that caps lock does not get in the way
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        const player = PLAYER_KEYS.findIndex(keys => Object.hasOwn(keys, key));
+        if (player < 0) {
+            return;
+        }
+
+        e.preventDefault();
+        controllers[player].move(PLAYER_KEYS[player][key]).then(refreshMatch);
+    });
+
+    document.getElementById('versus-restart-button')?.addEventListener('click', startMatch);
+    garbageCheckbox.addEventListener('change', saveGarbageStates);
+    garbageThresholdSelect.addEventListener('change', saveGarbageStates);
+}
+
+const init = async () => {
+    followAnimationSpeed();
+    restoreTheme().theme.apply();
+    GARBAGE_THRESHOLD_OPTIONS.forEach(value => garbageThresholdSelect.add(new Option(value, value)));
+    restoreGarbageStates();
+    controllers.forEach((controller, player) => {
+        controller.getSession().on(GameSessionEventType.MERGE, createGarbageListener(player));
+    });
+
+    await Promise.all(controllers.map(controller => controller.init()));
+    initListeners();
+    await startMatch();
+}
+
+init();
\ No newline at end of file
@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Board,
+    CachingBoardTraversalStrategyFactory,
+    Direction,
+    FibonacciBlockMerger,
+    Game,
+    GameBoardOperation,
+    IdenticalBlockMerger,
+    ThreesBlockMerger,
+} from '../js/2048.js';
+
+const STONE = { kind: 'stone' };
+const WILDCARD = { kind: 'wildcard' };
+
+/**
+ * @param {number} value
+ * @returns {{kind: string, value: number}}
+ */
+const bomb = (value) => ({ kind: 'bomb', value });
+
+/**
+ * Move the blocks of a board the way a game does
+ * @param {(number|object|null)[][]} rows The blocks of every row, as written by `Block.toJson()`
+ * @param {Direction[keyof typeof Direction]} direction
+ * @param {BlockMerger} merger
+ * @returns {(number|object|null)[][]} The blocks of every row once moved
+ */
+const move = (rows, direction, merger = new IdenticalBlockMerger()) => {
+    const rowCount = rows.length;
+    const columnCount = rows[0].length;
+    const board = Board.fromJson(JSON.stringify({ rowCount, columnCount, values: rows.flat() }));
+    const game = new Game(board, new CachingBoardTraversalStrategyFactory(), new GameBoardOperation(merger));
+    game.moveBlocks(direction);
+
+    const values = JSON.parse(game.getBoard().toJson()).values;
+    return rows.map((_, row) => values.slice(row * columnCount, (row + 1) * columnCount));
+}
+
+describe('GameBoardOperation', () => {
+    describe('with numbers', () => {
+        it('merges identical blocks', () => {
+            assert.deepEqual(move([[2, 2, 4, 4]], Direction.LEFT), [[4, 8, null, null]]);
+        });
+
+        it('merges every block at most once per move', () => {
+            assert.deepEqual(move([[2, 2, 2, 2]], Direction.LEFT), [[4, 4, null, null]]);
+            assert.deepEqual(move([[4, 4, 8, null]], Direction.LEFT), [[8, 8, null, null]]);
+        });
+
+        it('merges the blocks closest to the edge first', () => {
+            assert.deepEqual(move([[2, 2, 2, null]], Direction.RIGHT), [[null, null, 2, 4]]);
+        });
+
+        it('slides the blocks without merging different ones', () => {
+            assert.deepEqual(move([[null, 2, null, 4]], Direction.LEFT), [[2, 4, null, null]]);
+            assert.deepEqual(move([[2, 4, 8, 16]], Direction.LEFT), [[2, 4, 8, 16]]);
+        });
+
+        it('moves along the columns', () => {
+            assert.deepEqual(move([[2], [2], [4], [null]], Direction.UP), [[4], [4], [null], [null]]);
+            assert.deepEqual(move([[2], [null], [2], [8]], Direction.DOWN), [[null], [null], [4], [8]]);
+        });
+    });
+
+    describe('with Fibonacci numbers', () => {
+        const merger = new FibonacciBlockMerger();
+
+        it('merges consecutive Fibonacci numbers', () => {
+            assert.deepEqual(move([[1, 1, 2, 3]], Direction.LEFT, merger), [[2, 5, null, null]]);
+            assert.deepEqual(move([[1, 2, null, null]], Direction.LEFT, merger), [[3, null, null, null]]);
+        });
+
+        it('does not merge other numbers', () => {
+            assert.deepEqual(move([[2, 2, 3, 8]], Direction.LEFT, merger), [[2, 5, 8, null]]);
+            assert.deepEqual(move([[2, 5, null, null]], Direction.LEFT, merger), [[2, 5, null, null]]);
+        });
+    });
+
+    describe('with Threes numbers', () => {
+        const merger = new ThreesBlockMerger();
+
+        it('merges 1 and 2 into 3', () => {
+            assert.deepEqual(move([[1, 2, 2, 1]], Direction.LEFT, merger), [[3, 3, null, null]]);
+        });
+
+        it('merges identical blocks of 3 or more only', () => {
+            assert.deepEqual(move([[3, 3, 6, 6]], Direction.LEFT, merger), [[6, 12, null, null]]);
+            assert.deepEqual(move([[1, 1, 2, 2]], Direction.LEFT, merger), [[1, 3, 2, null]]);
+        });
+    });
+
+    describe('with stones', () => {
+        it('never moves or merges them', () => {
+            assert.deepEqual(move([[null, STONE, null, null]], Direction.LEFT), [[null, STONE, null, null]]);
+            assert.deepEqual(move([[STONE, STONE, null, null]], Direction.LEFT), [[STONE, STONE, null, null]]);
+        });
+
+        it('piles the blocks behind them up against them', () => {
+            assert.deepEqual(move([[2, STONE, null, 2]], Direction.LEFT), [[2, STONE, 2, null]]);
+            assert.deepEqual(move([[2, STONE, 2, 2]], Direction.LEFT), [[2, STONE, 4, null]]);
+        });
+    });
+
+    describe('with wildcards', () => {
+        it('merges them into the block they stand for', () => {
+            assert.deepEqual(move([[WILDCARD, 4, null, null]], Direction.LEFT), [[8, null, null, null]]);
+            assert.deepEqual(move([[3, WILDCARD]], Direction.LEFT, new FibonacciBlockMerger()), [[5, null]]);
+            assert.deepEqual(move([[WILDCARD, 1]], Direction.LEFT, new ThreesBlockMerger()), [[3, null]]);
+        });
+
+        it('does not merge two of them', () => {
+            assert.deepEqual(move([[WILDCARD, WILDCARD]], Direction.LEFT), [[WILDCARD, WILDCARD]]);
+        });
+
+        it('does not merge them with blocks the merge rules cannot go past', () => {
+            assert.deepEqual(move([[4, WILDCARD]], Direction.LEFT, new FibonacciBlockMerger()), [[4, WILDCARD]]);
+        });
+    });
+
+    describe('with bombs', () => {
+        it('clears the neighbours of the merged block', () => {
+            assert.deepEqual(move([
+                [8, null, null],
+                [2, bomb(2), null],
+                [16, null, null],
+            ], Direction.LEFT), [
+                [null, null, null],
+                [4, null, null],
+                [null, null, null],
+            ]);
+        });
+
+        it('compacts the line into the block cleared ahead of the merged block', () => {
+            assert.deepEqual(move([[4, 2, bomb(2), 8]], Direction.LEFT), [[4, 8, null, null]]);
+            assert.deepEqual(move([[8, 2, bomb(2), 4]], Direction.RIGHT), [[null, null, 8, 4]]);
+        });
+
+        it('lets the blocks behind slide up to the merged block', () => {
+            assert.deepEqual(move([[2, bomb(2), 8, 16]], Direction.LEFT), [[4, 8, 16, null]]);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Board,
+    CachingBoardTraversalStrategyFactory,
+    Direction,
+    Game,
+    GameBoardOperation,
+    GameHistory,
+    MergeVariants,
+    SeededRandomNumberGenerator,
+} from '../js/2048.js';
+
+const MOVES = [
+    Direction.LEFT, Direction.UP, Direction.RIGHT, Direction.DOWN,
+    Direction.LEFT, Direction.LEFT, Direction.UP, Direction.RIGHT,
+    Direction.DOWN, Direction.DOWN, Direction.LEFT, Direction.UP,
+];
+
+/**
+ * @param {SeededRandomNumberGenerator} rng
+ * @returns {Game} A classic game on an empty board
+ */
+const createGame = (rng) => {
+    const operation = new GameBoardOperation(MergeVariants.CLASSIC.getMerger());
+    return new Game(new Board(4, 4), new CachingBoardTraversalStrategyFactory(), operation, new GameHistory(), rng);
+}
+
+/**
+ * @param {Game} game
+ */
+const spawnBlock = (game) => {
+    game.spawnBlockWeighted(MergeVariants.CLASSIC.getSpawnedBlocks(), MergeVariants.CLASSIC.getSpawnedWeights());
+}
+
+/**
+ * Play the moves the way a game does, spawning a block after every move that moved something
+ * @param {Game} game
+ * @param {Direction[keyof typeof Direction][]} moves
+ */
+const play = (game, moves) => {
+    for (const direction of moves) {
+        if (game.moveBlocks(direction).size > 0) {
+            spawnBlock(game);
+        }
+    }
+}
+
+/**
+ * @param {number} seed
+ * @param {Direction[keyof typeof Direction][]} moves
+ * @returns {string} The board once the initial blocks are spawned and the moves played
+ */
+const playSeededGame = (seed, moves) => {
+    const game = createGame(new SeededRandomNumberGenerator(seed));
+    spawnBlock(game);
+    spawnBlock(game);
+    play(game, moves);
+    return game.getBoard().toJson();
+}
+
+describe('A seeded game', () => {
+    it('ends on the same board given the same seed and the same moves', () => {
+        for (const seed of [0, 1, 42, 2048, 0xFFFFFFFF]) {
+            assert.equal(playSeededGame(seed, MOVES), playSeededGame(seed, MOVES));
+        }
+    });
+
+    it('spawns the blocks elsewhere given another seed', () => {
+        assert.notEqual(playSeededGame(1, MOVES), playSeededGame(2, MOVES));
+    });
+
+    it('goes on the same way from a restored generator state', () => {
+        const rng = new SeededRandomNumberGenerator(42);
+        const game = createGame(rng);
+        spawnBlock(game);
+        spawnBlock(game);
+        play(game, MOVES.slice(0, 6));
+
+        const restoredRng = new SeededRandomNumberGenerator();
+        restoredRng.setState(rng.getState());
+        const restoredGame = createGame(restoredRng);
+        restoredGame.loadBoard(Board.copy(game.getBoard()));
+
+        play(game, MOVES.slice(6));
+        play(restoredGame, MOVES.slice(6));
+        assert.equal(restoredGame.getBoard().toJson(), game.getBoard().toJson());
+    });
+});
\ No newline at end of file